@@ -0,0 +1,67 @@
+// Analysis Readout Module - Sci-fi style expression/age/gender readout on the analysis screen
+
+import { Animation } from './animation.js';
+
+export class AnalysisReadout {
+    constructor() {
+        this.container = document.getElementById('analysis-readout');
+    }
+
+    /**
+     * Turn a detection's expression and age/gender results into readout lines.
+     * Parts that weren't computed (models disabled or unavailable) are left out.
+     */
+    static describe(detection, prefix = '') {
+        const lines = [];
+
+        if (detection.expressions) {
+            const sorted = detection.expressions.asSortedArray();
+            const [dominant, secondary] = sorted;
+            lines.push(`${prefix}Dominant expression: ${dominant.expression} ${Math.round(dominant.probability * 100)}%`);
+            if (secondary && secondary.probability >= 0.05) {
+                lines.push(`${prefix}Secondary expression: ${secondary.expression} ${Math.round(secondary.probability * 100)}%`);
+            }
+        }
+
+        if (typeof detection.age === 'number') {
+            lines.push(`${prefix}Estimated age: ${Math.round(detection.age)}`);
+        }
+
+        if (detection.gender) {
+            lines.push(`${prefix}Gender estimate: ${detection.gender} ${Math.round(detection.genderProbability * 100)}%`);
+        }
+
+        return lines;
+    }
+
+    /**
+     * Type the lines out one character at a time (an aborted signal stops it with an AbortError)
+     */
+    async show(lines, charDelay = 25, lineDelay = 250, signal = null) {
+        this.clear();
+        if (lines.length === 0) return;
+
+        this.container.classList.add('active');
+
+        for (const text of lines) {
+            const line = document.createElement('div');
+            line.className = 'readout-line';
+            this.container.appendChild(line);
+
+            for (let i = 1; i <= text.length; i++) {
+                line.textContent = `> ${text.slice(0, i)}`;
+                await Animation.wait(charDelay, signal);
+            }
+
+            await Animation.wait(lineDelay, signal);
+        }
+    }
+
+    /**
+     * Remove all lines
+     */
+    clear() {
+        this.container.innerHTML = '';
+        this.container.classList.remove('active');
+    }
+}
@@ -1,5 +1,14 @@
 // Animation Module - Handles transitions and visual effects
 
+import { Config } from './config.js';
+import { MatchNarrative, ScanLog } from './matchNarrative.js';
+
+// The reveal that last ran, so resetRevealScreen can undo it
+let activeReveal = null;
+
+// Matching pace with reduced motion: a few slow steps instead of a new face every 150ms
+const REDUCED_MOTION_NARRATIVE = { tickMs: 800, slowestTickMs: 1000, lockOnTicks: 1 };
+
 export class Animation {
     /**
      * Switch between screens
@@ -17,11 +26,47 @@ export class Animation {
         }
     }
 
+    /**
+     * Whether to tone animations down: Config.reducedMotion, or the system's
+     * prefers-reduced-motion setting when that's 'auto'
+     */
+    static reducedMotion() {
+        if (Config.reducedMotion !== 'auto') {
+            return Boolean(Config.reducedMotion);
+        }
+        return Boolean(window.matchMedia) && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    /**
+     * Keep the body's reduced-motion class (which the stylesheet keys off) in step with the setting
+     */
+    static setupReducedMotion() {
+        const apply = () => document.body.classList.toggle('reduced-motion', Animation.reducedMotion());
+        apply();
+
+        if (window.matchMedia) {
+            const query = window.matchMedia('(prefers-reduced-motion: reduce)');
+            if (query.addEventListener) {
+                query.addEventListener('change', apply);
+            }
+        }
+    }
+
     /**
      * Trigger confetti animation
      */
     static triggerConfetti() {
-        // Use canvas-confetti library
+        // No bursts of moving particles for people who asked for less motion
+        if (Animation.reducedMotion()) {
+            return;
+        }
+
+        // Use canvas-confetti library (may be missing if no source could serve it)
+        if (typeof confetti === 'undefined') {
+            console.warn('canvas-confetti not loaded, skipping confetti');
+            return;
+        }
+
         const duration = 5 * 1000;
         const animationEnd = Date.now() + duration;
         const defaults = { startVelocity: 30, spread: 360, ticks: 60, zIndex: 10000 };
@@ -66,46 +111,82 @@ export class Animation {
     }
 
     /**
-     * Animate matching sequence with character switching
+     * Animate matching sequence with character switching, scripted by a MatchNarrative:
+     * low scores, a few near misses, a slowdown and a lock-on to finale.character at finale.score.
+     * If every character has a `similarity` (honest mode), those real scores are shown instead.
+     * narrative: MatchNarrative options (seed, nearMisses, ...)
+     * hud: a FeatureHud to compare against each character's `features`
+     * signal: an AbortSignal that stops the sequence (it rejects with an AbortError)
      */
-    static async animateMatching(userCanvas, characterImages, duration = 5000) {
+    static async animateMatching(userCanvas, characterImages, duration = 5000, { finale = null, narrative = {}, hud = null, signal = null } = {}) {
         const characterImg = document.getElementById('character-image');
         const matchPercentage = document.getElementById('match-percentage');
         const matchPercentageMobile = document.getElementById('match-percentage-mobile');
+        const percentages = [matchPercentage, matchPercentageMobile].filter(Boolean);
+        const log = new ScanLog(document.querySelector('.matching-status'));
 
-        // Shuffle the character array once
-        const shuffledCharacters = Animation.shuffleArray(characterImages);
+        if (Animation.reducedMotion()) {
+            narrative = { ...narrative, ...REDUCED_MOTION_NARRATIVE };
+        }
 
-        const switchInterval = 200; // Switch every 200ms
-        const switchCount = Math.floor(duration / switchInterval);
+        const steps = new MatchNarrative(narrative).script(
+            characterImages,
+            duration,
+            finale || { character: characterImages[characterImages.length - 1] || null, score: 97 }
+        );
 
-        return new Promise((resolve) => {
-            let currentSwitch = 0;
+        percentages.forEach(element => element.classList.remove('near-miss', 'locked'));
+        log.start();
 
-            const interval = setInterval(() => {
-                // Get character sequentially from shuffled array
-                const characterIndex = currentSwitch % shuffledCharacters.length;
-                const character = shuffledCharacters[characterIndex];
+        try {
+            for (let i = 0; i < steps.length; i++) {
+                const step = steps[i];
 
-                if (character) {
-                    characterImg.src = character.src;
+                if (step.character) {
+                    characterImg.src = step.character.src;
                 }
-
-                // Generate random percentage between 20-60
-                const percentage = Math.floor(Math.random() * 41) + 20;
-                matchPercentage.textContent = `${percentage}%`;
-                if (matchPercentageMobile) {
-                    matchPercentageMobile.textContent = `${percentage}%`;
+                if (hud) {
+                    hud.compare(step.character ? step.character.features : null);
                 }
 
-                currentSwitch++;
+                const last = i === steps.length - 1;
+                percentages.forEach(element => {
+                    element.textContent = `${step.score}%`;
+                    element.classList.toggle('near-miss', step.kind === 'nearMiss');
+                    element.classList.toggle('locked', last);
+                });
 
-                if (currentSwitch >= switchCount) {
-                    clearInterval(interval);
-                    resolve();
-                }
-            }, switchInterval);
+                log.push(last
+                    ? `> MATCH CONFIRMED: ${step.character ? step.character.name : 'UNKNOWN'} - ${step.score}%`
+                    : ScanLog.describe(step, i));
+
+                await Animation.wait(step.delay, signal);
+            }
+        } finally {
+            log.stop();
+        }
+    }
+
+    /**
+     * Honest mode found no match for a face: say so instead of scanning
+     */
+    static async showNoMatchScan(signal = null) {
+        const matchingStatus = document.querySelector('.matching-status');
+        const status = matchingStatus.textContent;
+        document.getElementById('character-image').removeAttribute('src');
+        ['match-percentage', 'match-percentage-mobile'].forEach(id => {
+            const element = document.getElementById(id);
+            if (!element) return;
+            element.textContent = '--';
+            element.classList.remove('near-miss', 'locked');
         });
+
+        matchingStatus.textContent = 'NO FACIAL SIGNATURE - NO MATCH';
+        try {
+            await Animation.wait(1500, signal);
+        } finally {
+            matchingStatus.textContent = status;
+        }
     }
 
     /**
@@ -164,101 +245,191 @@ export class Animation {
     }
 
     /**
-     * Animate final reveal sequence
+     * Animate final reveal sequence with a reveal from the registry (see Reveals)
+     * context: what the reveal needs - user face, result image, trumpet, character...
+     * and optionally a `signal` that cancels it
+     */
+    static async animateReveal(reveal, context) {
+        // Prepare audio early to unlock audio context on mobile
+        if (context.trumpetSound) {
+            await Animation.prepareAudio(context.trumpetSound);
+        }
+
+        activeReveal = reveal;
+        reveal.setup(context);
+        await reveal.play(context);
+    }
+
+    /**
+     * Play the trumpet, retrying once if the browser refuses
+     */
+    static async playTrumpet(trumpetSound) {
+        if (!trumpetSound) return;
+
+        try {
+            // On mobile, audio context might be suspended - ensure it's ready
+            // Reload the audio to ensure it's in a playable state
+            if (trumpetSound.readyState === 0) {
+                // Not loaded yet, load it first
+                trumpetSound.load();
+            }
+
+            // Wait a moment for audio to be ready (especially important on mobile)
+            await Animation.wait(100);
+
+            trumpetSound.currentTime = 0;
+            const playPromise = trumpetSound.play();
+            if (playPromise !== undefined) {
+                playPromise.catch(err => {
+                    console.warn('Could not play trumpet sound:', err);
+                    if (err.name === 'NotAllowedError') {
+                        console.warn('Audio playback blocked. User interaction may be required.');
+                    } else if (err.name === 'NotSupportedError') {
+                        console.warn('Audio format not supported.');
+                    }
+                    // Try to reload and play again as fallback
+                    trumpetSound.load();
+                    setTimeout(() => {
+                        trumpetSound.play().catch(e => console.warn('Retry failed:', e));
+                    }, 200);
+                });
+            }
+        } catch (err) {
+            console.warn('Error playing trumpet sound:', err);
+        }
+    }
+
+    /**
+     * Animate the group photo reveal: every face turns into its result, one after another
+     * `resultImages` has one entry per face (null for a face honest mode couldn't match,
+     * whose tile keeps showing the face); `captions` optionally labels each tile
      */
-    static async animateReveal(userCanvas, slothImage, trumpetSound) {
+    static async animateGroupReveal(faceCanvases, resultImages, trumpetSound, captions = [], signal = null) {
         const matchFoundFlash = document.getElementById('match-found-flash');
         const revealContent = document.querySelector('.reveal-content');
-        const revealUserCanvas = document.getElementById('reveal-user-canvas');
-        const revealResultImage = document.getElementById('reveal-result-image');
+        const revealGrid = document.getElementById('reveal-group-grid');
         const revealText = document.getElementById('reveal-text');
         const restartBtn = document.getElementById('restart-btn');
 
-        // Prepare audio early to unlock audio context on mobile
         if (trumpetSound) {
             await Animation.prepareAudio(trumpetSound);
         }
 
-        // Step 1: Flash "97% MATCH FOUND" - linger to build tension
+        // Step 1: Flash, same as a single reveal
         matchFoundFlash.classList.add('active');
-        await Animation.wait(2500);
+        await Animation.wait(2500, signal);
         matchFoundFlash.classList.remove('active');
+        await Animation.wait(300, signal);
 
-        // Brief pause after flash
-        await Animation.wait(300);
+        // Step 2: One tile per person, showing their own face
+        revealGrid.innerHTML = '';
+        const tiles = faceCanvases.map((faceCanvas, index) => {
+            const tile = document.createElement('div');
+            tile.className = 'reveal-tile';
 
-        // Step 2: Show reveal content with user's image
-        revealContent.classList.add('active');
+            const userCanvas = document.createElement('canvas');
+            Animation.copyCanvas(faceCanvas, userCanvas);
 
-        // Copy user canvas to reveal canvas
-        revealUserCanvas.width = userCanvas.width;
-        revealUserCanvas.height = userCanvas.height;
-        const ctx = revealUserCanvas.getContext('2d');
-        ctx.drawImage(userCanvas, 0, 0);
+            tile.appendChild(userCanvas);
 
-        // Set the sloth image but keep it hidden
-        revealResultImage.src = slothImage.src;
+            let resultImage = null;
+            if (resultImages[index]) {
+                resultImage = document.createElement('img');
+                resultImage.src = resultImages[index].src;
+                resultImage.alt = 'Match Result';
+                tile.appendChild(resultImage);
+            }
 
-        await Animation.wait(1500);
+            if (captions[index]) {
+                const caption = document.createElement('p');
+                caption.className = 'reveal-tile-caption';
+                caption.textContent = captions[index];
+                tile.appendChild(caption);
+            }
 
-        // Step 3: Fade out user image and fade in sloth
-        revealUserCanvas.classList.add('fade-out');
-        await Animation.wait(1000);
-        if (trumpetSound) {
-            try {
-                // On mobile, audio context might be suspended - ensure it's ready
-                // Reload the audio to ensure it's in a playable state
-                if (trumpetSound.readyState === 0) {
-                    // Not loaded yet, load it first
-                    trumpetSound.load();
-                }
+            revealGrid.appendChild(tile);
+            return { userCanvas, resultImage };
+        });
 
-                // Wait a moment for audio to be ready (especially important on mobile)
-                await Animation.wait(100);
-
-                trumpetSound.currentTime = 0;
-                const playPromise = trumpetSound.play();
-                if (playPromise !== undefined) {
-                    playPromise.catch(err => {
-                        console.warn('Could not play trumpet sound:', err);
-                        if (err.name === 'NotAllowedError') {
-                            console.warn('Audio playback blocked. User interaction may be required.');
-                        } else if (err.name === 'NotSupportedError') {
-                            console.warn('Audio format not supported.');
-                        }
-                        // Try to reload and play again as fallback
-                        trumpetSound.load();
-                        setTimeout(() => {
-                            trumpetSound.play().catch(e => console.warn('Retry failed:', e));
-                        }, 200);
-                    });
-                }
-            } catch (err) {
-                console.warn('Error playing trumpet sound:', err);
-            }
-        }
-        revealResultImage.classList.add('fade-in');
+        revealContent.classList.add('group-mode', 'active');
+        await Animation.wait(1500, signal);
 
-        await Animation.wait(1000);
+        // Step 3: Swap each face for the result in turn
+        await Animation.playTrumpet(trumpetSound);
+        for (const tile of tiles) {
+            if (!tile.resultImage) continue;
+            tile.userCanvas.classList.add('fade-out');
+            tile.resultImage.classList.add('fade-in');
+            await Animation.wait(400, signal);
+        }
+        await Animation.wait(1000, signal);
 
-        // Step 4: Show text
+        // Step 4: Text, confetti and restart button
         revealText.classList.add('active');
-
-        // Step 5: Trigger confetti and sound
         Animation.triggerConfetti();
+        await Animation.wait(1000, signal);
+        restartBtn.classList.add('active');
+    }
 
+    /**
+     * Honest mode found no match: the user's own face and the explanation, without
+     * the trumpet or confetti
+     */
+    static async animateNoMatch(faceCanvas, signal = null) {
+        const revealContent = document.querySelector('.reveal-content');
 
-        await Animation.wait(1000);
+        Animation.copyCanvas(faceCanvas, document.getElementById('reveal-user-canvas'));
+        revealContent.classList.add('no-match', 'active');
+        await Animation.wait(1000, signal);
 
-        // Step 6: Show restart button
-        restartBtn.classList.add('active');
+        document.getElementById('reveal-text').classList.add('active');
+        document.getElementById('restart-btn').classList.add('active');
     }
 
     /**
-     * Helper function to wait
+     * Helper function to wait - with a signal, rejects with an AbortError as soon as it's aborted
      */
-    static wait(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    static wait(ms, signal = null) {
+        if (!signal) {
+            return new Promise(resolve => setTimeout(resolve, ms));
+        }
+
+        return new Promise((resolve, reject) => {
+            if (signal.aborted) {
+                reject(Animation.abortError());
+                return;
+            }
+
+            const handleAbort = () => {
+                clearTimeout(timer);
+                reject(Animation.abortError());
+            };
+            const timer = setTimeout(() => {
+                signal.removeEventListener('abort', handleAbort);
+                resolve();
+            }, ms);
+            signal.addEventListener('abort', handleAbort, { once: true });
+        });
+    }
+
+    static abortError() {
+        return new DOMException('The run was cancelled', 'AbortError');
+    }
+
+    /**
+     * Throw an AbortError if the signal has been aborted
+     */
+    static throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw Animation.abortError();
+        }
+    }
+
+    /**
+     * Whether an error is just a cancelled run
+     */
+    static isAbort(error) {
+        return Boolean(error) && error.name === 'AbortError';
     }
 
     /**
@@ -352,9 +523,16 @@ export class Animation {
         const revealResultImage = document.getElementById('reveal-result-image');
         const revealText = document.getElementById('reveal-text');
         const restartBtn = document.getElementById('restart-btn');
+        const revealGrid = document.getElementById('reveal-group-grid');
+
+        if (activeReveal) {
+            activeReveal.reset();
+            activeReveal = null;
+        }
 
         matchFoundFlash.classList.remove('active');
-        revealContent.classList.remove('active');
+        revealContent.classList.remove('active', 'group-mode', 'no-match');
+        revealGrid.innerHTML = '';
         revealUserCanvas.classList.remove('fade-out');
         revealResultImage.classList.remove('fade-in');
         revealText.classList.remove('active');
@@ -0,0 +1,25 @@
+// Announcer Module - Tells screen readers what the app is doing through ARIA live regions
+//
+// Progress goes to a polite region (read when the reader is idle), errors to an
+// assertive one. Both are visually hidden; see #sr-status and #sr-alert in index.html.
+
+export class Announcer {
+    constructor() {
+        this.status = document.getElementById('sr-status');
+        this.alert = document.getElementById('sr-alert');
+    }
+
+    /**
+     * Announce a message, replacing the previous one in its region
+     */
+    announce(message, { assertive = false } = {}) {
+        const region = assertive ? this.alert : this.status;
+        if (!region) return;
+
+        // Emptied first and filled on the next frame, so the same message twice is read twice
+        region.textContent = '';
+        requestAnimationFrame(() => {
+            region.textContent = message;
+        });
+    }
+}
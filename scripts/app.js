@@ -4,15 +4,63 @@ import { Preloader } from './preloader.js';
 import { Camera } from './camera.js';
 import { FaceDetection } from './faceDetection.js';
 import { Animation } from './animation.js';
+import { AnalysisReadout } from './analysisReadout.js';
+import { Announcer } from './announcer.js';
+import { AppState } from './appState.js';
+import { BurstSelector } from './burstSelector.js';
+import { PhotoQuality } from './photoQuality.js';
+import { Config } from './config.js';
+import { DetectorSelector } from './detectors.js';
+import { DiagnosticsPanel } from './diagnosticsPanel.js';
+import { FaceBoxSelector } from './faceBoxSelector.js';
+import { FaceMorph } from './faceMorph.js';
+import { FacePicker } from './facePicker.js';
+import { FaceTracker } from './faceTracker.js';
+import { FeatureHud } from './featureHud.js';
+import { HonestMatcher } from './honestMatcher.js';
+import { LandmarkRenderers } from './landmarkRenderers.js';
+import { PhotoDropZone } from './photoDropZone.js';
+import { ClassicReveal, Reveals } from './reveals.js';
+
+// Error screen for a hand-picked face that couldn't be analysed
+const SELECTION_FAILED = {
+    title: '⚠️ Selection Failed',
+    message: 'Something went wrong analysing the face you selected.',
+    suggestion: 'Try selecting it again, or use a different photo.'
+};
 
 class MovieDoppelgangerApp {
     constructor() {
         this.preloader = new Preloader();
+        this.state = new AppState(Config.screenFadeMs);
+        this.state.onNavigate = (name) => this.handleNavigate(name);
+        this.diagnostics = new DiagnosticsPanel(this.preloader);
+        this.facePicker = new FacePicker();
+        this.faceBoxSelector = new FaceBoxSelector();
+        this.featureHud = new FeatureHud();
+        this.analysisReadout = new AnalysisReadout();
+        this.announcer = new Announcer();
         this.camera = new Camera();
-        this.faceDetection = new FaceDetection();
+        this.faceDetection = null;
+        this.faceTracker = null;
         this.assets = null;
         this.currentImage = null;
         this.croppedFaceCanvas = null;
+        // Cropped face canvases to match - more than one in group photo mode
+        this.faces = [];
+        // Landmarks of each face on its crop, for the reveal morph
+        this.faceLandmarks = [];
+        // Character image landmarks for the reveal morph and feature HUD, by image src (promises)
+        this.characterLandmarks = new Map();
+        // Feature HUD measurements of each character image, by image src
+        this.characterFeatures = new Map();
+        // Photo offered for manual face selection on the error screen
+        this.manualImage = null;
+        // Cancels the webcam countdown and capture in progress (null when there isn't one)
+        this.captureController = null;
+        // Honest mode: real similarity rankings, one per face (null = prank mode, or no match)
+        this.honestMatcher = null;
+        this.rankings = [];
 
         this.init();
     }
@@ -30,13 +78,55 @@ class MovieDoppelgangerApp {
             });
         }
 
-        // Wait for face-api to load
-        await this.waitForFaceApi();
+        // Calmer animations if the system (or config) asks for less motion
+        Animation.setupReducedMotion();
 
-        // Load all assets
-        this.assets = await this.preloader.loadAll();
+        // Load face-api.js and confetti (self-hosted first, then CDN)
+        const libraryLoaded = await this.preloader.loadLibraries();
+        if (!libraryLoaded) {
+            console.error('face-api.js failed to load');
+            alert('Failed to load facial recognition library. Please refresh the page.');
+            return;
+        }
+
+        // Pick SSD MobileNet or Tiny Face Detector for this device
+        const detectorChoice = DetectorSelector.choose(Config);
+        this.faceDetection = new FaceDetection(detectorChoice.detector);
+        this.faceTracker = new FaceTracker(
+            this.faceDetection,
+            this.camera.video,
+            LandmarkRenderers.forEvent('tracking', Config),
+            { intervalMs: Config.trackingIntervalMs, steadyMs: Config.autoCaptureSteadyMs }
+        );
+
+        // Optional features need extra nets on top of the detector
+        const honestMode = HonestMatcher.isEnabled(Config);
+        const extraModels = [];
+        if (honestMode) extraModels.push('faceRecognitionNet');
+        // The readout is a nice-to-have: if its models fail it's just left out
+        const optionalModels = Config.faceAttributes ? ['faceExpressionNet', 'ageGenderNet'] : [];
 
-        console.log('All assets loaded!');
+        // Load models and sounds (character images keep loading in the background)
+        this.assets = await this.preloader.loadAll(detectorChoice, extraModels, optionalModels);
+
+        // Let the user retry anything that failed before moving on
+        this.assets = await this.diagnostics.resolveFailures();
+
+        if (honestMode) {
+            this.setupHonestMode();
+        }
+        if (Config.faceAttributes) {
+            this.faceDetection.enableAttributes();
+        }
+        this.startDetectionWorker();
+
+        // Find the result's landmarks ahead of the reveal, and measure every
+        // character for the feature HUD, once their images are in
+        if (Config.revealMorph || Config.featureHud) {
+            this.preloader.whenCharactersLoaded().then(() => this.prepareCharacterLandmarks());
+        }
+
+        console.log('Critical assets loaded!');
 
         // Set up camera sounds
         this.camera.setSounds(
@@ -46,25 +136,37 @@ class MovieDoppelgangerApp {
 
         // Switch to upload screen
         setTimeout(() => {
-            Animation.switchScreen('loading-screen', 'upload-screen');
+            this.state.go('upload');
             this.setupEventListeners();
         }, 500);
     }
 
     /**
-     * Wait for face-api library to be loaded
+     * Move detection into a worker in the background; until it's ready
+     * (or if it can't start) detection runs on the main thread
      */
-    async waitForFaceApi() {
-        let attempts = 0;
-        while (typeof faceapi === 'undefined' && attempts < 50) {
-            await new Promise(resolve => setTimeout(resolve, 100));
-            attempts++;
+    startDetectionWorker() {
+        const library = this.preloader.usedSources.library;
+        if (!Config.detectionWorker || !library || !library.faceApi) {
+            return;
         }
 
-        if (typeof faceapi === 'undefined') {
-            console.error('face-api.js failed to load');
-            alert('Failed to load facial recognition library. Please refresh the page.');
+        this.faceDetection.startWorker(library.faceApi, this.preloader.modelUrls);
+    }
+
+    /**
+     * Start computing character descriptors in the background once their images are in
+     */
+    setupHonestMode() {
+        if (!faceapi.nets.faceRecognitionNet.isLoaded) {
+            console.warn('Honest mode disabled: face recognition model did not load');
+            return;
         }
+
+        this.honestMatcher = new HonestMatcher(this.faceDetection);
+        this.preloader.whenCharactersLoaded().then(() => {
+            this.honestMatcher.prepare(this.assets.characters);
+        });
     }
 
     /**
@@ -72,14 +174,28 @@ class MovieDoppelgangerApp {
      */
     setupEventListeners() {
         // Upload screen
+        document.getElementById('group-mode-toggle').checked = Config.groupMode;
+        document.getElementById('auto-capture-toggle').checked = Config.autoCapture;
+
         document.getElementById('webcam-btn').addEventListener('click', () => {
             this.handleWebcamClick();
         });
 
+        document.getElementById('choose-file-btn').addEventListener('click', () => {
+            document.getElementById('file-input').click();
+        });
+
         document.getElementById('file-input').addEventListener('change', (e) => {
             this.handleFileUpload(e.target.files[0]);
         });
 
+        // Drag & drop anywhere on the upload screen, or paste from the clipboard
+        this.dropZone = new PhotoDropZone(
+            document.getElementById('upload-screen'),
+            (file) => this.handleFileUpload(file),
+            (message) => this.showUploadMessage(message)
+        );
+
         // Webcam screen
         document.getElementById('take-photo-btn').addEventListener('click', () => {
             this.handleTakePhoto();
@@ -89,26 +205,119 @@ class MovieDoppelgangerApp {
             this.handleCancelWebcam();
         });
 
+        // Camera choice - each change restarts the stream and is remembered
+        document.getElementById('camera-device-select').addEventListener('change', (e) => {
+            this.camera.selectDevice(e.target.value);
+        });
+
+        document.getElementById('camera-flip-btn').addEventListener('click', () => {
+            this.camera.toggleFacing();
+        });
+
+        document.getElementById('camera-resolution-select').addEventListener('change', (e) => {
+            this.camera.setResolution(e.target.value);
+        });
+
+        this.camera.onLost = (issue) => this.handleCameraLost(issue);
+
+        // Analysis and matching screens
+        document.querySelectorAll('.cancel-run-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.returnToUpload());
+        });
+
         // Error screen
         document.getElementById('retry-btn').addEventListener('click', () => {
             this.handleRetry();
         });
 
+        document.getElementById('manual-select-btn').addEventListener('click', () => {
+            this.handleManualSelect();
+        });
+
         // Reveal screen
         document.getElementById('restart-btn').addEventListener('click', () => {
             this.handleRestart();
         });
+
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+    }
+
+    /**
+     * Keyboard shortcuts: Space or C takes the photo, Escape cancels (the webcam, a run,
+     * manual face selection) and R starts over from the reveal
+     */
+    handleKeydown(e) {
+        if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+        // Typing in a field, or a key the focused button handles itself
+        if (e.target.closest && e.target.closest('input, select, textarea')) return;
+        const onButton = Boolean(e.target.closest && e.target.closest('button'));
+        const key = e.key.toLowerCase();
+
+        switch (this.state.current) {
+            case 'webcam':
+                if (key === 'c' || (key === ' ' && !onButton)) {
+                    e.preventDefault();
+                    if (!document.getElementById('take-photo-btn').disabled) {
+                        this.handleTakePhoto();
+                    }
+                } else if (key === 'escape') {
+                    this.handleCancelWebcam();
+                }
+                break;
+            case 'analysis':
+            case 'matching':
+                if (key === 'escape') {
+                    this.returnToUpload();
+                }
+                break;
+            case 'error':
+                if (key === 'escape') {
+                    const selecting = !document.getElementById('manual-face-select').classList.contains('hidden');
+                    if (selecting) {
+                        document.getElementById('manual-face-cancel-btn').click();
+                    } else {
+                        this.handleRetry();
+                    }
+                }
+                break;
+            case 'reveal':
+                if (key === 'r' || key === 'escape') {
+                    this.handleRestart();
+                }
+                break;
+        }
     }
 
     /**
-     * Handle webcam button click
+     * Handle webcam button click (history: false when Back/Forward got us here)
      */
-    async handleWebcamClick() {
+    async handleWebcamClick(history = true) {
         const success = await this.camera.start();
 
-        if (success) {
-            Animation.switchScreen('upload-screen', 'webcam-screen');
+        if (!success) {
+            this.showError(this.camera.lastError);
+            return;
         }
+
+        this.state.go('webcam', { history });
+
+        // Live framing guide; with auto-capture on, a steady well-framed face starts the countdown
+        this.faceTracker.start(() => {
+            const autoCapture = document.getElementById('auto-capture-toggle').checked;
+            const busy = document.getElementById('take-photo-btn').disabled;
+            if (autoCapture && !busy) {
+                this.handleTakePhoto();
+            }
+        });
+    }
+
+    /**
+     * The camera stopped while the webcam screen was open and no other camera could take over
+     */
+    handleCameraLost(issue) {
+        this.cancelCapture();
+        this.faceTracker.stop();
+        this.showError(issue);
     }
 
     /**
@@ -119,35 +328,97 @@ class MovieDoppelgangerApp {
         const btn = document.getElementById('take-photo-btn');
         btn.disabled = true;
 
+        // Cancel, Escape or Back during the countdown aborts the capture (see returnToUpload)
+        const controller = new AbortController();
+        this.captureController = controller;
+
+        // Live tracking would compete with the burst for the CPU
+        this.faceTracker.pause();
+
         try {
-            // Capture photo with countdown
-            const blob = await this.camera.capturePhoto();
+            // Capture photo (or a burst of frames) with countdown
+            const frames = await this.camera.capturePhoto({
+                countdownSeconds: Config.countdownSeconds,
+                burstSize: Math.max(1, Config.burstSize),
+                burstIntervalMs: Config.burstIntervalMs,
+                signal: controller.signal
+            });
+            this.captureController = null;
 
-            // Stop camera
+            // Stop tracking and camera
+            this.faceTracker.stop();
             this.camera.stop();
 
-            // Convert blob to image
-            const url = URL.createObjectURL(blob);
-            const img = await this.loadImage(url);
+            // Keep the sharpest, eyes-open frame of the burst
+            const best = await BurstSelector.pick(frames, this.faceDetection);
 
             // Process the image
-            await this.processImage(img);
-
-            URL.revokeObjectURL(url);
+            await this.processImage(best.canvas);
         } catch (error) {
+            // Still on the webcam with the camera running (the capture failed or was
+            // aborted without leaving): track again
+            if (this.state.current === 'webcam' && this.camera.stream) {
+                this.faceTracker.resume();
+            }
+            if (Animation.isAbort(error)) return;
             console.error('Error taking photo:', error);
             alert('Failed to capture photo. Please try again.');
         } finally {
+            if (this.captureController === controller) this.captureController = null;
             btn.disabled = false;
         }
     }
 
+    /**
+     * Abort the webcam countdown and capture, if one is in progress
+     */
+    cancelCapture() {
+        if (this.captureController) {
+            this.captureController.abort();
+            this.captureController = null;
+        }
+    }
+
     /**
      * Handle cancel webcam
      */
     handleCancelWebcam() {
+        this.returnToUpload();
+    }
+
+    /**
+     * Back/Forward asked for the upload or webcam screen: drop whatever is going on and go there
+     */
+    handleNavigate(name) {
+        if (name === 'upload') {
+            this.returnToUpload(false);
+            return;
+        }
+
+        if (this.state.current !== 'upload') {
+            this.returnToUpload(false);
+        }
+        this.handleWebcamClick(false);
+    }
+
+    /**
+     * Stop the camera or cancel the run in progress, tidy up after it and show the upload screen
+     */
+    returnToUpload(history = true) {
+        this.cancelCapture();
+        if (this.faceTracker) this.faceTracker.stop();
         this.camera.stop();
-        Animation.switchScreen('webcam-screen', 'upload-screen');
+        this.state.abortRun();
+
+        this.manualImage = null;
+        this.analysisReadout.clear();
+        this.featureHud.hide();
+        Animation.resetRevealScreen();
+
+        document.getElementById('file-input').value = '';
+        this.showUploadMessage('');
+
+        this.state.go('upload', { history });
     }
 
     /**
@@ -156,25 +427,34 @@ class MovieDoppelgangerApp {
     async handleFileUpload(file) {
         if (!file) return;
 
+        this.showUploadMessage('');
+
+        let img;
         try {
-            const img = await Camera.loadImageFromFile(file);
-            await this.processImage(img);
+            img = await Camera.loadImageFromFile(file);
         } catch (error) {
             console.error('Error loading file:', error);
-            alert('Failed to load image. Please try again with a different file.');
+            const problem = Camera.validateImageFile(file);
+            this.showUploadMessage(problem || 'That image couldn\'t be opened - it may be damaged or in an unsupported format. Please try a different photo.');
+            return;
+        }
+
+        try {
+            await this.processImage(img);
+        } catch (error) {
+            if (Animation.isAbort(error)) return;
+            console.error('Error processing image:', error);
+            alert('Failed to process image. Please try again with a different file.');
         }
     }
 
     /**
-     * Load image from URL
+     * Explain on the upload screen why a photo wasn't used (empty text hides it)
      */
-    loadImage(url) {
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            img.onload = () => resolve(img);
-            img.onerror = reject;
-            img.src = url;
-        });
+    showUploadMessage(text) {
+        const message = document.getElementById('upload-message');
+        message.textContent = text;
+        message.hidden = !text;
     }
 
     /**
@@ -187,13 +467,15 @@ class MovieDoppelgangerApp {
             await Animation.prepareAudio(this.assets.sounds.trumpet);
         }
 
-        // Switch to analysis screen
-        Animation.switchScreen('upload-screen', 'analysis-screen');
-        Animation.switchScreen('webcam-screen', 'analysis-screen');
+        // Switch to analysis screen - this starts a run, cancelled if the user leaves it
+        if (!this.state.go('analysis')) return;
+        const signal = this.state.signal;
+        this.announcer.announce('Analyzing your photo');
 
         // Get analysis canvas
         const analysisCanvas = document.getElementById('analysis-canvas');
         const analysisText = document.getElementById('analysis-text');
+        this.analysisReadout.clear();
 
         // Resize image if too large
         const resizedCanvas = Camera.resizeImage(image, 800, 800);
@@ -205,116 +487,505 @@ class MovieDoppelgangerApp {
         ctx.drawImage(resizedCanvas, 0, 0);
 
         // Wait a moment
-        await Animation.wait(500);
+        await Animation.wait(500, signal);
+
+        // Group photo mode: map and match every face
+        if (this.isGroupMode()) {
+            await this.processGroupImage(resizedCanvas, signal);
+            return;
+        }
 
         // Detect face
         analysisText.textContent = 'Detecting facial features...';
         const result = await this.faceDetection.processImage(resizedCanvas);
+        Animation.throwIfAborted(signal);
 
         if (!result) {
-            this.showError('No face detected in the image. Please try again with a clear photo showing your face.');
+            this.showError(PhotoQuality.diagnoseMissingFace(resizedCanvas), { manualImage: resizedCanvas, signal });
             return;
         }
 
-        // Display cropped face with landmarks
-        analysisText.textContent = 'Mapping 68 facial landmarks...';
+        // Turn away photos that would make a poor crop, saying why
+        if (Config.qualityGate) {
+            const quality = PhotoQuality.assess(resizedCanvas, result.detection);
+            if (!quality.passed) {
+                this.showError(quality.issues[0], { signal });
+                return;
+            }
+        }
+
+        await this.showFaceAnalysis(result, undefined, signal);
+
+        // Continue to matching sequence
+        await this.startMatchingSequence(signal);
+    }
+
+    /**
+     * Display the cropped face and animate its landmarks
+     */
+    async showFaceAnalysis(result, status = 'Mapping 68 facial landmarks...', signal = null) {
+        const analysisCanvas = document.getElementById('analysis-canvas');
+        document.getElementById('analysis-text').textContent = status;
         analysisCanvas.width = result.canvas.width;
         analysisCanvas.height = result.canvas.height;
-        ctx.drawImage(result.canvas, 0, 0);
+        analysisCanvas.getContext('2d').drawImage(result.canvas, 0, 0);
 
         // Store cropped face canvas for later use
         this.croppedFaceCanvas = result.canvas;
+        this.faces = [result.canvas];
+        this.faceLandmarks = [FaceDetection.mapLandmarks(result.detection.landmarks, result.offset)];
+
+        const readout = AnalysisReadout.describe(result.detection);
+        this.announcer.announce(['Face found.', status, ...readout].join(' '));
+
+        // Animate landmarks, with the expression/age readout typing alongside
+        await Promise.all([
+            this.faceDetection.animateLandmarksProgressive(
+                analysisCanvas,
+                result.detection.landmarks,
+                result.offset,
+                LandmarkRenderers.forEvent('analysis', Config),
+                signal
+            ),
+            this.analysisReadout.show(readout, 25, 250, signal)
+        ]);
+    }
 
-        // Animate landmarks
-        await this.faceDetection.animateLandmarksProgressive(
-            analysisCanvas,
-            result.detection.landmarks,
-            result.offset
-        );
+    /**
+     * Whether the group photo toggle is on
+     */
+    isGroupMode() {
+        return document.getElementById('group-mode-toggle').checked;
+    }
+
+    /**
+     * Process a group photo: landmarks on every face, then let the operator pick who to match
+     */
+    async processGroupImage(resizedCanvas, signal = null) {
+        const analysisCanvas = document.getElementById('analysis-canvas');
+        const analysisText = document.getElementById('analysis-text');
+
+        analysisText.textContent = 'Detecting every face in the photo...';
+        const result = await this.faceDetection.processGroupImage(resizedCanvas);
+        Animation.throwIfAborted(signal);
+
+        if (!result) {
+            this.showError(PhotoQuality.diagnoseMissingFace(resizedCanvas, true), { manualImage: resizedCanvas, signal });
+            return;
+        }
+
+        // Leave out faces too poor to match; only give up if that's all of them
+        if (Config.qualityGate) {
+            const assessed = result.faces.map(face => ({
+                face,
+                quality: PhotoQuality.assess(resizedCanvas, face.detection)
+            }));
+            const usable = assessed.filter(entry => entry.quality.passed).map(entry => entry.face);
+
+            if (usable.length === 0) {
+                this.showError(PhotoQuality.groupIssue(assessed.map(entry => entry.quality)), { signal });
+                return;
+            }
+            if (usable.length < result.faces.length) {
+                console.warn(`Skipping ${result.faces.length - usable.length} face(s) below the quality threshold`);
+            }
+            result.faces = usable;
+        }
+
+        // Landmarks are drawn on the full photo, so no crop offset
+        const count = result.faces.length;
+        analysisText.textContent = `Mapping 68 facial landmarks on ${count} face${count === 1 ? '' : 's'}...`;
+        this.announcer.announce(`${count} face${count === 1 ? '' : 's'} found. Mapping facial landmarks.`);
+        const readoutLines = result.faces.length > 1
+            ? result.faces.flatMap((face, index) => AnalysisReadout.describe(face.detection, `Subject ${index + 1} · `))
+            : AnalysisReadout.describe(result.faces[0].detection);
+        await Promise.all([
+            this.faceDetection.animateAllLandmarks(
+                analysisCanvas,
+                result.faces.map(face => ({ landmarks: face.detection.landmarks, offset: { x: 0, y: 0 } })),
+                LandmarkRenderers.forEvent('group', Config),
+                signal
+            ),
+            this.analysisReadout.show(readoutLines, 15, 100, signal)
+        ]);
+
+        let faces = result.faces;
+        if (faces.length > 1) {
+            analysisText.textContent = 'Select the faces to match';
+            this.announcer.announce('Select the faces to match, then press Continue');
+            faces = await this.facePicker.pick(faces, signal);
+            Animation.throwIfAborted(signal);
+        }
+
+        this.faces = faces.map(face => face.canvas);
+        this.faceLandmarks = faces.map(face => FaceDetection.mapLandmarks(face.detection.landmarks, face.offset));
+        this.croppedFaceCanvas = this.faces[0];
 
         // Continue to matching sequence
-        await this.startMatchingSequence();
+        await this.startMatchingSequence(signal);
+    }
+
+    /**
+     * Show error screen for an issue { title, message, suggestion } (see QUALITY_ISSUES, CAMERA_ERRORS)
+     * manualImage: photo to offer manual face selection on; signal: the run it happened in
+     */
+    showError(issue, { manualImage = null, signal = null } = {}) {
+        this.state.go('error', { signal });
+
+        document.getElementById('error-title').textContent = issue.title;
+        document.getElementById('error-message').textContent = issue.message;
+
+        const suggestion = document.getElementById('error-suggestion');
+        suggestion.textContent = issue.suggestion || '';
+        suggestion.hidden = !issue.suggestion;
+        this.announcer.announce([issue.title, issue.message, issue.suggestion].filter(Boolean).join('. '), { assertive: true });
+
+        // When detection found no face, the user can point it out by hand
+        this.manualImage = manualImage;
+        document.getElementById('manual-select-btn').hidden = !manualImage;
     }
 
     /**
-     * Show error screen
+     * Let the user drag a box around their face, then analyse that region
      */
-    showError(message) {
-        document.getElementById('error-message').textContent = message;
-        Animation.switchScreen('analysis-screen', 'error-screen');
+    async handleManualSelect() {
+        const image = this.manualImage;
+        if (!image) return;
+        const signal = this.state.signal;
+
+        const errorContainer = document.querySelector('#error-screen .error-container');
+        errorContainer.classList.add('hidden');
+        const box = await this.faceBoxSelector.select(image, signal);
+        errorContainer.classList.remove('hidden');
+        if (!box) {
+            document.getElementById('manual-select-btn').focus();
+            return;
+        }
+
+        this.manualImage = null;
+        this.analysisReadout.clear();
+        this.state.go('analysis', { signal });
+        document.getElementById('analysis-text').textContent = 'Analyzing your selection...';
+
+        try {
+            const result = await this.faceDetection.processRegion(image, box);
+            Animation.throwIfAborted(signal);
+            await this.showFaceAnalysis(
+                result,
+                result.synthetic ? 'Estimating facial landmarks...' : 'Mapping 68 facial landmarks...',
+                signal
+            );
+
+            await this.startMatchingSequence(signal);
+        } catch (error) {
+            if (Animation.isAbort(error)) return;
+            console.error('Error analysing selected face:', error);
+            this.showError(SELECTION_FAILED, { manualImage: image, signal });
+        }
     }
 
     /**
      * Handle retry button
      */
     handleRetry() {
-        Animation.switchScreen('error-screen', 'upload-screen');
+        this.returnToUpload();
     }
 
     /**
      * Start matching sequence
      */
-    async startMatchingSequence() {
+    async startMatchingSequence(signal = null) {
         // Switch to matching screen
-        Animation.switchScreen('analysis-screen', 'matching-screen');
+        this.state.go('matching', { signal });
 
         // Copy user's face to matching canvas
         const userFaceCanvas = document.getElementById('user-face-canvas');
         Animation.copyCanvas(this.croppedFaceCanvas, userFaceCanvas);
 
-        // Get character images
-        const characterImages = this.getCharacterImages();
+        // Character images load in the background - only wait if they're not all here yet
+        const matchingStatus = document.querySelector('.matching-status');
+        if (!this.preloader.charactersLoaded) {
+            matchingStatus.textContent = 'Downloading character database...';
+            await this.preloader.whenCharactersLoaded();
+            Animation.throwIfAborted(signal);
+            matchingStatus.textContent = 'Scanning database...';
+        }
+
+        this.announcer.announce(this.faces.length > 1
+            ? `Scanning the character database for ${this.faces.length} faces`
+            : 'Scanning the character database');
+
+        // Honest mode: rank the characters against each face for real
+        this.rankings = this.faces.map(() => null);
+        if (this.honestMatcher) {
+            matchingStatus.textContent = 'Computing facial signatures...';
+            await this.honestMatcher.prepare(this.assets.characters);
+            for (let i = 0; i < this.faces.length; i++) {
+                const ranking = await this.honestMatcher.rank(this.faces[i]);
+                Animation.throwIfAborted(signal);
+                this.rankings[i] = ranking && ranking.length > 0 ? ranking : null;
+            }
+            matchingStatus.textContent = 'Scanning database...';
+        }
 
-        // Animate matching
-        await Animation.animateMatching(userFaceCanvas, characterImages, 5000);
+        // Animate matching - once per face in group photo mode, each locking on to its result
+        if (this.faces.length > 1) {
+            for (let i = 0; i < this.faces.length; i++) {
+                matchingStatus.textContent = `Scanning database... subject ${i + 1} of ${this.faces.length}`;
+                Animation.copyCanvas(this.faces[i], userFaceCanvas);
+                await this.animateFaceMatching(i, Math.round(Config.matchingDurationMs * 0.6), signal);
+            }
+            matchingStatus.textContent = 'Scanning database...';
+        } else {
+            await this.animateFaceMatching(0, Config.matchingDurationMs, signal);
+        }
 
         // Continue to reveal
-        await this.startReveal();
+        await this.startReveal(signal);
+    }
+
+    /**
+     * Matching sequence for one face - or, in honest mode, a plain "no match"
+     * when it couldn't be ranked
+     */
+    async animateFaceMatching(index, duration, signal) {
+        if (!this.getRevealResult(index).image) {
+            this.featureHud.hide();
+            await Animation.showNoMatchScan(signal);
+            return;
+        }
+
+        await Animation.animateMatching(
+            document.getElementById('user-face-canvas'),
+            this.getCharacterImages(this.rankings[index]),
+            duration,
+            { ...this.getMatchingScript(index), hud: this.showFeatureHud(index), signal }
+        );
     }
 
     /**
      * Get character images for matching
+     * With an honest-mode ranking, each image carries its real similarity
      */
-    getCharacterImages() {
-        // If we have loaded character images, use them
-        if (this.assets.images && this.assets.images.length > 0) {
-            return this.assets.images.map(img => ({ src: img.src }));
+    getCharacterImages(ranking = null) {
+        if (ranking) {
+            return ranking.map(entry => ({
+                src: entry.character.img.src,
+                name: entry.character.label,
+                similarity: entry.similarity,
+                features: this.characterFeatures.get(entry.character.img.src) || null
+            }));
         }
 
-        // Otherwise use placeholders
-        return Preloader.generatePlaceholderImages();
+        // Only characters from the manifest whose images actually loaded
+        return this.assets.characters.map(character => ({
+            src: character.img.src,
+            name: character.label,
+            features: this.characterFeatures.get(character.img.src) || null
+        }));
     }
 
     /**
-     * Start reveal sequence
+     * Feature HUD set up with a face's measurements, or null if it's off
      */
-    async startReveal() {
-        // Switch to reveal screen
-        Animation.switchScreen('matching-screen', 'reveal-screen');
+    showFeatureHud(index) {
+        if (!Config.featureHud || !this.faceLandmarks[index]) {
+            this.featureHud.hide();
+            return null;
+        }
+        this.featureHud.show(this.faceLandmarks[index]);
+        return this.featureHud;
+    }
+
+    /**
+     * How the matching sequence for a face plays out: where it locks on, and the
+     * narrative settings (a seed makes it the same every run; each face gets its own)
+     */
+    getMatchingScript(index) {
+        const result = this.getRevealResult(index);
+        const seed = Config.matchingSeed;
+        const offset = seed === null || typeof seed === 'number' ? index : `#${index}`;
+
+        return {
+            finale: {
+                character: {
+                    src: result.image.src,
+                    name: result.character ? result.character.label : 'Unknown',
+                    features: this.characterFeatures.get(result.image.src) || null
+                },
+                score: result.similarity
+            },
+            narrative: {
+                ...Config.matchingNarrative,
+                seed: seed === null ? null : seed + offset
+            }
+        };
+    }
+
+    /**
+     * Best match for a face: the real top result in honest mode, otherwise the prank result.
+     * Honest mode never falls back to the prank - a face it couldn't rank (no descriptor,
+     * or none for the characters) gets { image: null, character: null, similarity: null }.
+     */
+    getRevealResult(index) {
+        const ranking = this.rankings[index];
+        if (ranking) {
+            const top = ranking[0];
+            return {
+                image: top.character.img,
+                character: top.character,
+                similarity: top.similarity
+            };
+        }
+
+        if (this.honestMatcher) {
+            return { image: null, character: null, similarity: null };
+        }
+
+        const result = this.assets.result;
+        return {
+            image: this.assets.slothImage || { src: result ? result.src : '' },
+            character: result,
+            similarity: 97
+        };
+    }
+
+    /**
+     * Landmarks (and feature HUD measurements) for the result and, with the HUD on,
+     * every character - one image at a time, in the background
+     */
+    async prepareCharacterLandmarks() {
+        const entries = [{ character: this.assets.result, image: this.assets.slothImage }];
+        if (Config.featureHud) {
+            entries.push(...this.assets.characters.map(character => ({ character, image: character.img })));
+        }
+
+        for (const { character, image } of entries) {
+            const points = await this.getCharacterLandmarks(character, image);
+            if (points) {
+                this.characterFeatures.set(image.src, FeatureHud.measure(points));
+            }
+        }
+    }
+
+    /**
+     * Landmarks of a character image (from the manifest, or detected once and kept)
+     */
+    getCharacterLandmarks(character, image) {
+        if (!image || !image.src) return Promise.resolve(null);
+
+        if (!this.characterLandmarks.has(image.src)) {
+            const landmarks = FaceMorph.landmarksFor(character, image, this.faceDetection)
+                .catch(error => {
+                    console.warn(`Could not find landmarks in ${image.src}:`, error);
+                    return null;
+                });
+            this.characterLandmarks.set(image.src, landmarks);
+        }
+        return this.characterLandmarks.get(image.src);
+    }
+
+    /**
+     * Morph from the user's face into the result, or null to cross-fade instead
+     */
+    async createRevealMorph(result) {
+        if (!Config.revealMorph || !this.faceLandmarks[0]) return null;
 
-        // Get sloth image
-        const slothImage = this.assets.slothImage || Preloader.getPlaceholderSloth();
+        const points = await this.getCharacterLandmarks(result.character, result.image);
+        if (!points) {
+            console.warn('No landmarks for the result image - revealing with a fade');
+            return null;
+        }
 
-        // Animate reveal
-        await Animation.animateReveal(
-            this.croppedFaceCanvas,
-            slothImage,
-            this.assets.sounds.trumpet
+        return new FaceMorph(
+            { image: this.croppedFaceCanvas, points: this.faceLandmarks[0] },
+            { image: result.image, points }
         );
     }
 
     /**
-     * Handle restart
+     * Start reveal sequence
      */
-    handleRestart() {
-        // Reset reveal screen
-        Animation.resetRevealScreen();
+    async startReveal(signal = null) {
+        // Switch to reveal screen
+        this.state.go('reveal', { signal });
+
+        // Result per face - from the manifest, or the real top match in honest mode
+        const results = this.faces.map((face, index) => this.getRevealResult(index));
+        const describe = (character) => `${character.name} from ${character.film} (${character.year})`;
+
+        const flashText = document.getElementById('match-found-text');
+        const revealHeading = document.querySelector('#reveal-text h2');
+        const revealName = document.getElementById('reveal-character-name');
+
+        // Animate reveal - one tile per person in group photo mode
+        if (this.faces.length > 1) {
+            const honest = Boolean(this.honestMatcher);
+            const matched = results.filter(result => result.image);
+            const best = matched.length > 0 ? Math.max(...matched.map(result => result.similarity)) : null;
+            flashText.textContent = best === null ? 'NO MATCH FOUND' : `${best}% FACIAL MATCH FOUND`;
+
+            if (honest && best === null) {
+                revealHeading.textContent = `None of the ${this.faces.length} faces could be matched`;
+                revealName.textContent = '';
+            } else if (honest) {
+                revealHeading.textContent = `${matched.length} of ${this.faces.length} faces matched. Closest resemblance:`;
+                const top = matched.find(result => result.similarity === best);
+                revealName.textContent = top.character ? describe(top.character) : '';
+            } else {
+                revealHeading.textContent = `All ${this.faces.length} faces have a 97% similarity with`;
+                if (results[0].character) revealName.textContent = describe(results[0].character);
+            }
+
+            this.announcer.announce(flashText.textContent);
+            await Animation.animateGroupReveal(
+                this.faces,
+                results.map(result => result.image),
+                best === null ? null : this.assets.sounds.trumpet,
+                honest
+                    ? results.map(result => (result.character ? `${result.character.name} · ${result.similarity}%` : 'No match'))
+                    : [],
+                signal
+            );
+        } else if (!results[0].image) {
+            flashText.textContent = 'NO MATCH FOUND';
+            revealHeading.textContent = 'No facial signature could be computed for your face, so there is no match to show';
+            revealName.textContent = '';
+            this.announcer.announce(flashText.textContent);
+            await Animation.animateNoMatch(this.croppedFaceCanvas, signal);
+        } else {
+            const result = results[0];
+            flashText.textContent = `${result.similarity}% FACIAL MATCH FOUND`;
+            revealHeading.textContent = `Your facial structure has a ${result.similarity}% similarity with`;
+            if (result.character) revealName.textContent = describe(result.character);
+
+            // Reveals draw with the result image, so only the classic fade copes without one;
+            // with reduced motion it's the classic fade too, without the morph
+            const gentle = Animation.reducedMotion();
+            const reveal = result.image.naturalWidth && !gentle ? Reveals.choose(Config) : Reveals.create('classic');
+            this.announcer.announce(flashText.textContent);
+            await Animation.animateReveal(reveal, {
+                userCanvas: this.croppedFaceCanvas,
+                resultImage: result.image,
+                trumpetSound: this.assets.sounds.trumpet,
+                character: result.character,
+                similarity: result.similarity,
+                decoys: (this.assets.images || []).filter(image => image !== result.image),
+                morph: reveal instanceof ClassicReveal && !gentle ? await this.createRevealMorph(result) : null,
+                morphDuration: Config.morphDurationMs,
+                signal
+            });
+        }
 
-        // Clear file input
-        document.getElementById('file-input').value = '';
+        this.announcer.announce(`${revealHeading.textContent} ${revealName.textContent}`.trim());
+        document.getElementById('restart-btn').focus();
+    }
 
-        // Go back to upload screen
-        Animation.switchScreen('reveal-screen', 'upload-screen');
+    /**
+     * Handle restart
+     */
+    handleRestart() {
+        this.returnToUpload();
     }
 }
 
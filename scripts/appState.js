@@ -0,0 +1,200 @@
+// App State Module - The app's screens as a state machine with cancellable runs and browser history
+//
+// Every state is a screen, and only the transitions listed in STATES are allowed.
+// Analysis, matching, the reveal and the error screen make up a "run": it gets an
+// AbortSignal when it starts, which is aborted as soon as the app leaves the run
+// for the upload screen (Cancel, Restart or the browser's Back button).
+//
+// The URL hash follows the state. Upload and webcam get a history entry each and
+// a run shares one, so Back returns to wherever the photo came from. History only
+// ever goes back to upload or webcam - a finished run can't be replayed.
+//
+// Once a screen has faded in, keyboard focus moves into it: to its [data-focus]
+// element, or else its first heading.
+
+import { Animation } from './animation.js';
+
+export const STATES = {
+    loading: { screen: 'loading-screen', next: ['upload'] },
+    upload: { screen: 'upload-screen', next: ['webcam', 'analysis', 'error'] },
+    webcam: { screen: 'webcam-screen', next: ['upload', 'analysis', 'error'] },
+    analysis: { screen: 'analysis-screen', next: ['matching', 'error', 'upload'], run: true },
+    matching: { screen: 'matching-screen', next: ['reveal', 'error', 'upload'], run: true },
+    reveal: { screen: 'reveal-screen', next: ['upload'], run: true },
+    error: { screen: 'error-screen', next: ['analysis', 'upload'], run: true }
+};
+
+// States Back and Forward can return to
+const REVISITABLE = ['upload', 'webcam'];
+
+export class AppState {
+    constructor(fadeMs = 300) {
+        this.current = 'loading';
+        this.fadeMs = fadeMs;
+        this.controller = null;
+        this.transitions = 0;
+
+        // States of this page's history entries, and which one is showing
+        // (carried over from history.state when the page is reloaded)
+        const entry = window.history.state;
+        this.index = entry && typeof entry.index === 'number' ? entry.index : 0;
+        this.entries = [];
+        // Set while the app itself is going back, so its popstate is ignored
+        this.rewinding = false;
+
+        // Called with 'upload' or 'webcam' when Back or Forward asks for it - the app
+        // does whatever getting there involves (stopping a run, starting the camera)
+        // and then calls go(name, { history: false })
+        this.onNavigate = null;
+
+        window.addEventListener('popstate', (e) => this.handlePopState(e));
+    }
+
+    /**
+     * Whether the current state may move to `name`
+     */
+    can(name) {
+        return STATES[this.current].next.includes(name);
+    }
+
+    /**
+     * Signal of the run in progress (null outside a run)
+     */
+    get signal() {
+        return this.controller ? this.controller.signal : null;
+    }
+
+    /**
+     * Move to another state, fading between their screens. Returns false (and stays put)
+     * if the transition isn't allowed.
+     * history: false when following Back/Forward, so no entry is added
+     * signal: the run asking for the move - if it has been aborted this throws an
+     * AbortError instead, so a cancelled run can't drag the app back into it
+     */
+    go(name, { history = true, signal = null } = {}) {
+        Animation.throwIfAborted(signal);
+
+        if (name === this.current) return true;
+        if (!STATES[name] || !this.can(name)) {
+            console.warn(`Ignoring transition from ${this.current} to ${name}`);
+            return false;
+        }
+
+        const from = STATES[this.current];
+        const to = STATES[name];
+
+        if (to.run && !from.run) {
+            this.controller = new AbortController();
+        } else if (from.run && !to.run) {
+            this.abortRun();
+        }
+
+        if (history) {
+            this.record(name, from, to);
+        }
+
+        this.current = name;
+        const transition = ++this.transitions;
+        Animation.fadeTransition(from.screen, to.screen, this.fadeMs).then(() => {
+            if (transition === this.transitions) this.settle();
+        });
+        return true;
+    }
+
+    /**
+     * Cancel the run in progress, if any - whatever waits on its signal stops with an AbortError
+     */
+    abortRun() {
+        if (this.controller) {
+            this.controller.abort();
+            this.controller = null;
+        }
+    }
+
+    /**
+     * Keep history in step: the first screen and each step of a run replace the
+     * current entry, going to the previous entry's state goes back to it, and
+     * anything else is a new entry
+     */
+    record(name, from, to) {
+        if (this.current === 'loading' || (from.run && to.run)) {
+            this.writeEntry(name, 'replaceState');
+        } else if (this.index > 0 && this.entries[this.index - 1] === name) {
+            this.rewinding = true;
+            this.index -= 1;
+            window.history.back();
+        } else {
+            this.writeEntry(name, 'pushState');
+        }
+    }
+
+    writeEntry(name, method) {
+        if (method === 'pushState') {
+            this.index += 1;
+            this.entries.length = this.index;
+        }
+        this.entries[this.index] = name;
+        window.history[method]({ state: name, index: this.index }, '', `#${name}`);
+    }
+
+    /**
+     * Back or Forward: hand upload and webcam to the app, stay put for anything else
+     */
+    handlePopState(e) {
+        if (this.rewinding) {
+            this.rewinding = false;
+            return;
+        }
+        if (this.current === 'loading') return;
+
+        const entry = e.state || {};
+        if (typeof entry.index === 'number') {
+            this.index = entry.index;
+        }
+
+        const name = entry.state;
+        if (name === this.current) return;
+
+        if (!REVISITABLE.includes(name) || !this.onNavigate) {
+            // A finished run, or a hash typed in by hand
+            this.writeEntry(this.current, 'replaceState');
+            return;
+        }
+
+        this.entries[this.index] = name;
+        this.onNavigate(name);
+    }
+
+    /**
+     * Leave just the current screen showing, cleaning up after overlapping fades
+     */
+    settle() {
+        Object.keys(STATES).forEach(name => {
+            const screen = document.getElementById(STATES[name].screen);
+            if (!screen) return;
+
+            screen.classList.toggle('active', name === this.current);
+            screen.style.transition = '';
+            screen.style.opacity = '';
+        });
+
+        this.focusScreen();
+    }
+
+    /**
+     * Move keyboard focus into the current screen, unless it's already there
+     */
+    focusScreen() {
+        const screen = document.getElementById(STATES[this.current].screen);
+        if (!screen || screen.contains(document.activeElement)) return;
+
+        const target = screen.querySelector('[data-focus]') || screen.querySelector('h1, h2');
+        if (!target) return;
+
+        // Headings take focus without joining the tab order
+        if (target.tabIndex < 0 && !target.hasAttribute('tabindex')) {
+            target.setAttribute('tabindex', '-1');
+        }
+        target.focus();
+    }
+}
@@ -0,0 +1,173 @@
+// Asset Tracker Module - Per-asset load status and byte-weighted progress
+
+export const AssetStatus = {
+    PENDING: 'pending',
+    LOADING: 'loading',
+    LOADED: 'loaded',
+    FAILED: 'failed',
+    TIMEOUT: 'timeout'
+};
+
+export const AssetGroup = {
+    // Needed before the upload screen can be shown
+    CRITICAL: 'critical',
+    // Streamed in while the user is choosing a photo
+    BACKGROUND: 'background',
+    // Loaded alongside the critical assets, but a failure only switches its feature off
+    OPTIONAL: 'optional'
+};
+
+export class AssetTracker {
+    constructor() {
+        this.assets = new Map();
+        this.listeners = [];
+    }
+
+    /**
+     * Register an asset with an estimated size (replaced once the real size is known)
+     */
+    register(id, { label, kind, group = AssetGroup.CRITICAL, url = null, estimatedBytes }) {
+        this.assets.set(id, {
+            id,
+            label,
+            kind,
+            group,
+            url,
+            estimatedBytes,
+            totalBytes: null,
+            loadedBytes: 0,
+            status: AssetStatus.PENDING,
+            error: null
+        });
+        this.notify();
+    }
+
+    /**
+     * Mark an asset as loading, clearing any previous attempt
+     */
+    start(id, url = null) {
+        const asset = this.assets.get(id);
+        asset.status = AssetStatus.LOADING;
+        asset.loadedBytes = 0;
+        asset.totalBytes = null;
+        asset.error = null;
+        if (url) asset.url = url;
+        this.notify();
+    }
+
+    /**
+     * Add to the real size of an asset (called per file for multi-file assets)
+     */
+    addTotalBytes(id, bytes) {
+        const asset = this.assets.get(id);
+        asset.totalBytes = (asset.totalBytes || 0) + bytes;
+        this.notify();
+    }
+
+    /**
+     * Record downloaded bytes
+     */
+    addLoadedBytes(id, bytes) {
+        const asset = this.assets.get(id);
+        asset.loadedBytes += bytes;
+        this.notify();
+    }
+
+    /**
+     * Mark an asset as fully loaded
+     */
+    complete(id) {
+        const asset = this.assets.get(id);
+        asset.status = AssetStatus.LOADED;
+        asset.totalBytes = Math.max(asset.totalBytes || 0, asset.loadedBytes) || asset.estimatedBytes;
+        asset.loadedBytes = asset.totalBytes;
+        this.notify();
+    }
+
+    /**
+     * Mark an asset as failed or timed out
+     */
+    fail(id, error) {
+        const asset = this.assets.get(id);
+        asset.status = error && error.name === 'TimeoutError' ? AssetStatus.TIMEOUT : AssetStatus.FAILED;
+        asset.error = error ? error.message : 'Unknown error';
+        this.notify();
+    }
+
+    /**
+     * Size used for weighting: real size if known, otherwise the estimate
+     */
+    static weightOf(asset) {
+        return Math.max(asset.totalBytes || asset.estimatedBytes, asset.loadedBytes);
+    }
+
+    /**
+     * Look up one asset
+     */
+    get(id) {
+        return this.assets.get(id);
+    }
+
+    /**
+     * Progress from 0 to 1 (optionally for one group), weighted by bytes.
+     * Failed assets count as done so the bar does not get stuck.
+     */
+    getProgress(group = null) {
+        let total = 0;
+        let done = 0;
+
+        this.getAll(group).forEach(asset => {
+            const weight = AssetTracker.weightOf(asset);
+            total += weight;
+            if (asset.status === AssetStatus.LOADED || AssetTracker.isFailure(asset)) {
+                done += weight;
+            } else {
+                done += Math.min(asset.loadedBytes, weight);
+            }
+        });
+
+        return total === 0 ? 1 : done / total;
+    }
+
+    /**
+     * Whether an asset failed or timed out
+     */
+    static isFailure(asset) {
+        return asset.status === AssetStatus.FAILED || asset.status === AssetStatus.TIMEOUT;
+    }
+
+    /**
+     * Assets that failed or timed out (optionally for one group)
+     */
+    getFailed(group = null) {
+        return this.getAll(group).filter(AssetTracker.isFailure);
+    }
+
+    /**
+     * Assets of a kind that are still pending or loading
+     */
+    getActive(kind) {
+        return this.getAll().filter(asset =>
+            asset.kind === kind &&
+            (asset.status === AssetStatus.PENDING || asset.status === AssetStatus.LOADING));
+    }
+
+    /**
+     * All assets in registration order (optionally for one group)
+     */
+    getAll(group = null) {
+        const all = [...this.assets.values()];
+        return group ? all.filter(asset => asset.group === group) : all;
+    }
+
+    /**
+     * Subscribe to changes
+     */
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
@@ -0,0 +1,61 @@
+// Burst Selector Module - Picks the best webcam frame from a burst
+
+import { PhotoQuality } from './photoQuality.js';
+
+// How much each measure counts towards a frame's score
+const WEIGHTS = {
+    confidence: 0.4,
+    sharpness: 0.3,
+    eyes: 0.3
+};
+
+// Eye aspect ratios treated as fully closed and fully open
+const EYES_CLOSED = 0.12;
+const EYES_OPEN = 0.28;
+
+export class BurstSelector {
+    /**
+     * Score every frame and return the best as { canvas, detection, score }.
+     * Frames without a face score nothing; if no frame has a face,
+     * the shutter frame is returned with a null detection.
+     */
+    static async pick(frames, faceDetection, shutterIndex = Math.floor((frames.length - 1) / 2)) {
+        if (frames.length === 1) {
+            return { canvas: frames[0], detection: null, score: 0 };
+        }
+
+        // One at a time - running detection on several frames at once only makes each slower
+        const candidates = [];
+        for (const canvas of frames) {
+            const detection = await faceDetection.trackFace(canvas);
+            if (!detection) continue;
+
+            const { sharpness } = PhotoQuality.measure(canvas, detection.detection.box);
+            candidates.push({
+                canvas,
+                detection,
+                confidence: detection.detection.score,
+                sharpness,
+                eyes: PhotoQuality.eyeOpenness(detection.landmarks)
+            });
+        }
+
+        if (candidates.length === 0) {
+            return { canvas: frames[shutterIndex], detection: null, score: 0 };
+        }
+
+        // Sharpness has no natural scale, so compare it within the burst
+        const sharpest = Math.max(...candidates.map(candidate => candidate.sharpness), 1);
+
+        const scored = candidates.map(candidate => {
+            const eyes = Math.min(1, Math.max(0, (candidate.eyes - EYES_CLOSED) / (EYES_OPEN - EYES_CLOSED)));
+            const score = WEIGHTS.confidence * candidate.confidence +
+                WEIGHTS.sharpness * (candidate.sharpness / sharpest) +
+                WEIGHTS.eyes * eyes;
+            return { canvas: candidate.canvas, detection: candidate.detection, score };
+        });
+
+        scored.sort((a, b) => b.score - a.score);
+        return scored[0];
+    }
+}
@@ -1,5 +1,46 @@
 // Camera Module - Handles webcam access and photo capture
 
+import { Animation } from './animation.js';
+import { ImageDecoder } from './imageDecoder.js';
+
+// Remembered camera choice
+const SETTINGS_KEY = 'movie-doppelganger-camera';
+
+export const RESOLUTIONS = {
+    sd: { label: '480p', width: 640, height: 480 },
+    hd: { label: '720p', width: 1280, height: 720 },
+    fullHd: { label: '1080p', width: 1920, height: 1080 }
+};
+
+// Why the webcam couldn't start, in the same shape as QUALITY_ISSUES so the error screen can show them
+export const CAMERA_ERRORS = {
+    unsupported: {
+        title: '📵 Camera Not Available',
+        message: 'This browser can\'t use a camera on this page.',
+        suggestion: 'Open the site over HTTPS in an up-to-date browser, or upload a photo instead.'
+    },
+    permissionDenied: {
+        title: '🚫 Camera Permission Denied',
+        message: 'The browser wasn\'t allowed to use your camera.',
+        suggestion: 'Allow camera access in the address bar or browser settings, then try again.'
+    },
+    noDevice: {
+        title: '📷 No Camera Found',
+        message: 'No camera is connected to this device.',
+        suggestion: 'Plug in a camera and try again, or upload a photo instead.'
+    },
+    inUse: {
+        title: '⏳ Camera In Use',
+        message: 'Your camera is being used by another app or browser tab.',
+        suggestion: 'Close other apps that use the camera (video calls, other tabs), then try again.'
+    },
+    unknown: {
+        title: '⚠️ Camera Error',
+        message: 'Something went wrong starting your camera.',
+        suggestion: 'Try again, or upload a photo instead.'
+    }
+};
+
 export class Camera {
     constructor() {
         this.stream = null;
@@ -7,8 +48,47 @@ export class Camera {
         this.canvas = document.getElementById('webcam-canvas');
         this.countdownOverlay = document.getElementById('countdown-overlay');
         this.countdownNumber = document.getElementById('countdown-number');
+        this.deviceSelect = document.getElementById('camera-device-select');
+        this.resolutionSelect = document.getElementById('camera-resolution-select');
+        this.flipButton = document.getElementById('camera-flip-btn');
         this.timerBeepSound = null;
         this.shutterSound = null;
+
+        // { deviceId, facingMode, resolution } - restored from localStorage
+        this.settings = Camera.loadSettings();
+        // CAMERA_ERRORS entry for the last failed start
+        this.lastError = null;
+        // Called when the camera drops out while in use (e.g. unplugged)
+        this.onLost = null;
+
+        this.populateResolutions();
+        if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+            navigator.mediaDevices.addEventListener('devicechange', () => this.refreshDevices());
+        }
+    }
+
+    /**
+     * Saved camera settings, falling back to the front camera at 720p
+     */
+    static loadSettings() {
+        const defaults = { deviceId: null, facingMode: 'user', resolution: 'hd' };
+        try {
+            const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+            const settings = { ...defaults, ...saved };
+            if (!RESOLUTIONS[settings.resolution]) settings.resolution = defaults.resolution;
+            return settings;
+        } catch (error) {
+            console.warn('Could not read saved camera settings:', error);
+            return defaults;
+        }
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(SETTINGS_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('Could not save camera settings:', error);
+        }
     }
 
     /**
@@ -19,29 +99,194 @@ export class Camera {
         this.shutterSound = shutter;
     }
 
+    /**
+     * Video constraints for the current settings - a chosen device wins over front/back
+     */
+    buildConstraints() {
+        const resolution = RESOLUTIONS[this.settings.resolution];
+        const video = {
+            width: { ideal: resolution.width },
+            height: { ideal: resolution.height }
+        };
+
+        if (this.settings.deviceId) {
+            video.deviceId = { exact: this.settings.deviceId };
+        } else {
+            video.facingMode = this.settings.facingMode;
+        }
+
+        return { video, audio: false };
+    }
+
     /**
      * Initialize and start webcam
+     * Resolves to true, or false with the reason in this.lastError
      */
     async start() {
-        try {
-            const constraints = {
-                video: {
-                    width: { ideal: 1280 },
-                    height: { ideal: 720 },
-                    facingMode: 'user'
-                },
-                audio: false
-            };
+        this.lastError = null;
 
-            this.stream = await navigator.mediaDevices.getUserMedia(constraints);
-            this.video.srcObject = this.stream;
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            this.lastError = CAMERA_ERRORS.unsupported;
+            return false;
+        }
 
-            return true;
+        try {
+            this.stream = await this.openStream();
         } catch (error) {
             console.error('Error accessing webcam:', error);
-            alert('Unable to access your webcam. Please ensure you have granted camera permissions.');
+            this.lastError = Camera.describeError(error);
             return false;
         }
+
+        this.video.srcObject = this.stream;
+
+        // The camera was unplugged or taken over while in use
+        this.stream.getVideoTracks().forEach(track => {
+            track.addEventListener('ended', () => this.handleTrackEnded(track));
+        });
+
+        // Device names are only visible once permission has been granted
+        await this.refreshDevices();
+        return true;
+    }
+
+    /**
+     * getUserMedia with the saved settings; a remembered camera that has
+     * gone away is forgotten and the default one used instead
+     */
+    async openStream() {
+        try {
+            return await navigator.mediaDevices.getUserMedia(this.buildConstraints());
+        } catch (error) {
+            const missing = error.name === 'OverconstrainedError' || error.name === 'NotFoundError';
+            if (!this.settings.deviceId || !missing) {
+                throw error;
+            }
+
+            console.warn('Saved camera not available, using the default camera');
+            this.settings.deviceId = null;
+            this.saveSettings();
+            return navigator.mediaDevices.getUserMedia(this.buildConstraints());
+        }
+    }
+
+    /**
+     * Map a getUserMedia error onto one of CAMERA_ERRORS
+     */
+    static describeError(error) {
+        switch (error.name) {
+            case 'NotAllowedError':
+            case 'SecurityError':
+            case 'PermissionDeniedError':
+                return CAMERA_ERRORS.permissionDenied;
+            case 'NotFoundError':
+            case 'OverconstrainedError':
+            case 'DevicesNotFoundError':
+                return CAMERA_ERRORS.noDevice;
+            case 'NotReadableError':
+            case 'TrackStartError':
+            case 'AbortError':
+                return CAMERA_ERRORS.inUse;
+            default:
+                return CAMERA_ERRORS.unknown;
+        }
+    }
+
+    /**
+     * Restart the stream with the current settings (after a change in the controls)
+     */
+    async restart() {
+        this.stop();
+        const success = await this.start();
+        if (!success && this.onLost) {
+            this.onLost(this.lastError);
+        }
+        return success;
+    }
+
+    /**
+     * Switch to a specific camera ('' for the default)
+     */
+    async selectDevice(deviceId) {
+        this.settings.deviceId = deviceId || null;
+        this.saveSettings();
+        return this.restart();
+    }
+
+    /**
+     * Swap between the front and back camera
+     */
+    async toggleFacing() {
+        this.settings.facingMode = this.settings.facingMode === 'user' ? 'environment' : 'user';
+        // facingMode is ignored while a specific device is chosen
+        this.settings.deviceId = null;
+        this.saveSettings();
+        return this.restart();
+    }
+
+    async setResolution(key) {
+        if (!RESOLUTIONS[key]) return false;
+        this.settings.resolution = key;
+        this.saveSettings();
+        return this.restart();
+    }
+
+    /**
+     * Fill the resolution picker from RESOLUTIONS
+     */
+    populateResolutions() {
+        this.resolutionSelect.innerHTML = '';
+        Object.entries(RESOLUTIONS).forEach(([key, resolution]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = resolution.label;
+            this.resolutionSelect.appendChild(option);
+        });
+        this.resolutionSelect.value = this.settings.resolution;
+    }
+
+    /**
+     * Re-list cameras (on start and whenever one is plugged in or removed)
+     */
+    async refreshDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return;
+
+        let cameras;
+        try {
+            const devices = await navigator.mediaDevices.enumerateDevices();
+            cameras = devices.filter(device => device.kind === 'videoinput');
+        } catch (error) {
+            console.warn('Could not list cameras:', error);
+            return;
+        }
+
+        // Show which device is actually streaming, even if none was chosen
+        const track = this.stream ? this.stream.getVideoTracks()[0] : null;
+        const activeId = track && track.getSettings ? track.getSettings().deviceId : this.settings.deviceId;
+
+        this.deviceSelect.innerHTML = '';
+        cameras.forEach((camera, index) => {
+            const option = document.createElement('option');
+            option.value = camera.deviceId;
+            option.textContent = camera.label || `Camera ${index + 1}`;
+            this.deviceSelect.appendChild(option);
+        });
+        if (activeId) this.deviceSelect.value = activeId;
+
+        // Choosing only makes sense with more than one camera
+        this.deviceSelect.hidden = cameras.length < 2;
+        this.flipButton.hidden = cameras.length < 2;
+    }
+
+    /**
+     * The streaming camera stopped by itself - try whichever camera is left
+     */
+    async handleTrackEnded(track) {
+        if (!this.stream || !this.stream.getVideoTracks().includes(track)) return;
+
+        console.warn('Camera disconnected, switching to another camera');
+        this.settings.deviceId = null;
+        await this.restart();
     }
 
     /**
@@ -82,54 +327,103 @@ export class Camera {
 
     /**
      * Start countdown (3, 2, 1)
-     * Photo is taken after 3 seconds, even if the beep sound is longer
+     * Photo is taken after the countdown, even if the beep sound is longer.
+     * onBeforeEnd (if given) is called leadMs before the countdown finishes.
+     * Rejects with an AbortError if the signal is aborted first.
      */
-    async startCountdown() {
-        return new Promise((resolve) => {
+    async startCountdown(seconds = 3, { leadMs = 0, onBeforeEnd = null, signal = null } = {}) {
+        Animation.throwIfAborted(signal);
+
+        return new Promise((resolve, reject) => {
             this.countdownOverlay.classList.add('active');
 
             // Play the beep sound once at the start (it may be 4 seconds long)
             this.playSound(this.timerBeepSound);
 
-            let count = 3;
+            // One tick per number, plus the tick that ends the countdown
+            const totalMs = (seconds + 1) * 1000;
+            const leadTimeout = onBeforeEnd
+                ? setTimeout(onBeforeEnd, Math.max(0, totalMs - leadMs))
+                : null;
+
+            const finish = () => {
+                clearInterval(countdownInterval);
+                clearTimeout(leadTimeout);
+                this.countdownOverlay.classList.remove('active');
+                if (signal) signal.removeEventListener('abort', handleAbort);
+            };
+
+            const handleAbort = () => {
+                finish();
+                if (this.timerBeepSound) this.timerBeepSound.pause();
+                reject(Animation.abortError());
+            };
+
+            let count = seconds;
             const countdownInterval = setInterval(() => {
                 this.countdownNumber.textContent = count;
 
                 count--;
 
                 if (count < 0) {
-                    clearInterval(countdownInterval);
-                    this.countdownOverlay.classList.remove('active');
+                    finish();
                     resolve();
                 }
             }, 1000);
+
+            if (signal) signal.addEventListener('abort', handleAbort, { once: true });
         });
     }
 
     /**
-     * Capture photo from webcam
+     * Copy the current video frame into a canvas (a new one unless given)
      */
-    async capturePhoto() {
-        // Wait for countdown
-        await this.startCountdown();
+    grabFrame(canvas = document.createElement('canvas')) {
+        canvas.width = this.video.videoWidth;
+        canvas.height = this.video.videoHeight;
+        canvas.getContext('2d').drawImage(this.video, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    }
+
+    /**
+     * Capture photo from webcam after a countdown
+     * With burstSize > 1, frames are taken every burstIntervalMs around the
+     * shutter moment - about half just before it, the rest from it onwards.
+     * Resolves to the frames as canvases, oldest first, or rejects with an
+     * AbortError if the signal is aborted before the last frame.
+     */
+    async capturePhoto({ countdownSeconds = 3, burstSize = 1, burstIntervalMs = 80, signal = null } = {}) {
+        const leadCount = Math.floor((burstSize - 1) / 2);
+        const lead = [];
+        let leadInterval = null;
+
+        // Keep the last few frames before the shutter in a small rolling buffer
+        try {
+            await this.startCountdown(countdownSeconds, leadCount === 0 ? { signal } : {
+                leadMs: leadCount * burstIntervalMs,
+                onBeforeEnd: () => {
+                    leadInterval = setInterval(() => {
+                        lead.push(this.grabFrame());
+                        if (lead.length > leadCount) lead.shift();
+                    }, burstIntervalMs);
+                },
+                signal
+            });
+        } finally {
+            clearInterval(leadInterval);
+        }
 
         // Play shutter sound
         this.playSound(this.shutterSound);
 
-        // Set canvas size to match video
-        this.canvas.width = this.video.videoWidth;
-        this.canvas.height = this.video.videoHeight;
-
-        // Draw video frame to canvas
-        const ctx = this.canvas.getContext('2d');
-        ctx.drawImage(this.video, 0, 0, this.canvas.width, this.canvas.height);
+        // The shutter frame also stays on the hidden webcam canvas
+        const frames = [...lead, this.grabFrame(this.canvas)];
+        while (frames.length < burstSize) {
+            await Animation.wait(burstIntervalMs, signal);
+            frames.push(this.grabFrame());
+        }
 
-        // Convert to blob
-        return new Promise((resolve) => {
-            this.canvas.toBlob((blob) => {
-                resolve(blob);
-            }, 'image/jpeg', 0.95);
-        });
+        return frames;
     }
 
     /**
@@ -140,31 +434,26 @@ export class Camera {
     }
 
     /**
-     * Load image from file
+     * Load image from file (or blob) as an upright, metadata-free canvas
      */
-    static loadImageFromFile(file) {
-        return new Promise((resolve, reject) => {
-            if (!file.type.startsWith('image/')) {
-                reject(new Error('File is not an image'));
-                return;
-            }
+    static async loadImageFromFile(file) {
+        const problem = Camera.validateImageFile(file);
+        if (problem) {
+            throw new Error(problem);
+        }
 
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                const img = new Image();
-                img.onload = () => {
-                    resolve(img);
-                };
-                img.onerror = () => {
-                    reject(new Error('Failed to load image'));
-                };
-                img.src = e.target.result;
-            };
-            reader.onerror = () => {
-                reject(new Error('Failed to read file'));
-            };
-            reader.readAsDataURL(file);
-        });
+        return ImageDecoder.decode(file);
+    }
+
+    /**
+     * Why a file can't be used as a photo, or null if it can
+     */
+    static validateImageFile(file) {
+        if (!file.type.startsWith('image/')) {
+            const name = file.name ? `"${file.name}"` : 'That file';
+            return `${name} isn't an image. Please use a photo (JPEG, PNG or WebP).`;
+        }
+        return null;
     }
 
     /**
@@ -183,31 +472,11 @@ export class Camera {
 
     /**
      * Resize image to max dimensions while maintaining aspect ratio
+     * (large reductions are done in steps for a smoother result)
      */
     static resizeImage(image, maxWidth = 1024, maxHeight = 1024) {
-        let width = image.width;
-        let height = image.height;
-
-        if (width > height) {
-            if (width > maxWidth) {
-                height = height * (maxWidth / width);
-                width = maxWidth;
-            }
-        } else {
-            if (height > maxHeight) {
-                width = width * (maxHeight / height);
-                height = maxHeight;
-            }
-        }
-
-        const canvas = document.createElement('canvas');
-        canvas.width = width;
-        canvas.height = height;
-
-        const ctx = canvas.getContext('2d');
-        ctx.drawImage(image, 0, 0, width, height);
-
-        return canvas;
+        const { width, height } = ImageDecoder.fitWithin(image.width, image.height, maxWidth, maxHeight);
+        return ImageDecoder.downscale(image, width, height);
     }
 }
 
@@ -0,0 +1,215 @@
+// Character Manifest Module - Loads and validates the character database
+
+export const DEFAULT_MANIFEST_URL = 'assets/characters.json';
+
+/**
+ * Schema for a single character entry.
+ * `type` is one of: string, integer, boolean, string[], box, landmarks
+ */
+const ENTRY_SCHEMA = {
+    name: { type: 'string', required: true },
+    film: { type: 'string', required: true },
+    year: { type: 'integer', required: true },
+    image: { type: 'string' },
+    width: { type: 'integer' },
+    height: { type: 'integer' },
+    faceBox: { type: 'box' },
+    landmarks: { type: 'landmarks' },
+    tags: { type: 'string[]' },
+    enabled: { type: 'boolean' }
+};
+
+export class CharacterManifest {
+    /**
+     * Fetch and parse a manifest. Never throws - problems end up in `errors`.
+     */
+    static async load(url = DEFAULT_MANIFEST_URL) {
+        let text;
+        let data;
+
+        try {
+            const response = await fetch(url, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            text = await response.text();
+            data = JSON.parse(text);
+        } catch (error) {
+            const message = `Could not load character manifest "${url}": ${error.message}`;
+            console.error(message);
+            return CharacterManifest.empty([message]);
+        }
+
+        return {
+            ...CharacterManifest.parse(data),
+            hash: CharacterManifest.hash(text)
+        };
+    }
+
+    /**
+     * Short content hash (FNV-1a) used to version the offline cache
+     */
+    static hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Validate raw manifest data and normalise its entries.
+     * Broken entries are skipped and reported in `errors`.
+     */
+    static parse(data) {
+        if (!data || typeof data !== 'object' || !Array.isArray(data.characters)) {
+            return CharacterManifest.empty(['Character manifest must be an object with a "characters" array']);
+        }
+
+        const errors = [];
+        const placeholderFallback = data.placeholderFallback === true;
+
+        const characters = [];
+        data.characters.forEach((entry, index) => {
+            const character = CharacterManifest.normalizeEntry(entry, `characters[${index}]`, placeholderFallback, errors);
+            if (character && character.enabled) {
+                characters.push(character);
+            }
+        });
+
+        let result = null;
+        if (data.result === undefined) {
+            errors.push('Character manifest has no "result" entry');
+        } else {
+            result = CharacterManifest.normalizeEntry(data.result, 'result', placeholderFallback, errors);
+        }
+
+        errors.forEach(error => console.warn(`Character manifest: ${error}`));
+
+        return {
+            version: data.version,
+            placeholderFallback,
+            characters,
+            result,
+            errors
+        };
+    }
+
+    /**
+     * Manifest with nothing in it
+     */
+    static empty(errors = []) {
+        return {
+            version: null,
+            placeholderFallback: false,
+            characters: [],
+            result: null,
+            errors,
+            hash: null
+        };
+    }
+
+    /**
+     * Validate one entry and convert it to the shape the app uses.
+     * Returns null (and records why) if the entry cannot be used.
+     */
+    static normalizeEntry(entry, path, placeholderFallback, errors) {
+        const entryErrors = CharacterManifest.validateEntry(entry, path);
+        if (entryErrors.length > 0) {
+            errors.push(...entryErrors, `${path} skipped`);
+            return null;
+        }
+
+        const placeholder = placeholderFallback && entry.width && entry.height
+            ? CharacterManifest.placeholderUrl(entry)
+            : null;
+
+        if (!entry.image && !placeholder) {
+            errors.push(`${path} ("${entry.name}") has no "image" and no placeholder fallback - skipped`);
+            return null;
+        }
+
+        return {
+            name: entry.name,
+            film: entry.film,
+            year: entry.year,
+            label: `${entry.name} - ${entry.film}`,
+            src: entry.image || placeholder,
+            placeholder,
+            width: entry.width || null,
+            height: entry.height || null,
+            faceBox: entry.faceBox || null,
+            landmarks: entry.landmarks || null,
+            tags: entry.tags || [],
+            enabled: entry.enabled !== false
+        };
+    }
+
+    /**
+     * Check an entry against ENTRY_SCHEMA
+     */
+    static validateEntry(entry, path) {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            return [`${path} must be an object`];
+        }
+
+        const errors = [];
+
+        Object.entries(ENTRY_SCHEMA).forEach(([field, rule]) => {
+            const value = entry[field];
+
+            if (value === undefined || value === null) {
+                if (rule.required) {
+                    errors.push(`${path}.${field} is required`);
+                }
+                return;
+            }
+
+            if (!CharacterManifest.matchesType(value, rule.type)) {
+                errors.push(`${path}.${field} must be of type ${rule.type}`);
+            }
+        });
+
+        Object.keys(entry).forEach(field => {
+            if (!(field in ENTRY_SCHEMA)) {
+                console.warn(`Character manifest: ${path}.${field} is not a known field and will be ignored`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Check a value against a schema type
+     */
+    static matchesType(value, type) {
+        switch (type) {
+            case 'string':
+                return typeof value === 'string' && value.trim() !== '';
+            case 'integer':
+                return Number.isInteger(value) && value > 0;
+            case 'boolean':
+                return typeof value === 'boolean';
+            case 'string[]':
+                return Array.isArray(value) && value.every(item => typeof item === 'string');
+            case 'box':
+                return ['x', 'y', 'width', 'height'].every(key => typeof value[key] === 'number');
+            case 'landmarks':
+                // 68 [x, y] points in image pixels, in face-api's order
+                return Array.isArray(value) && value.length === 68 &&
+                    value.every(point => Array.isArray(point) && point.length === 2 &&
+                        point.every(coordinate => typeof coordinate === 'number'));
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * placehold.co URL for an entry
+     */
+    static placeholderUrl(entry) {
+        const text = encodeURIComponent(`${entry.name} - ${entry.film}`);
+        return `https://placehold.co/${entry.width}x${entry.height}/667eea/ffffff?text=${text}`;
+    }
+}
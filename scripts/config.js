@@ -0,0 +1,102 @@
+// Config Module - App-wide settings
+//
+// Defaults can be overridden per deployment by defining
+// `window.MOVIE_DOPPELGANGER_CONFIG` before the app scripts load, e.g.
+//
+//   <script>window.MOVIE_DOPPELGANGER_CONFIG = { assetBaseUrl: '/doppelganger/' };</script>
+
+const DEFAULTS = {
+    // Prefix for self-hosted files (vendor libraries and model weights)
+    assetBaseUrl: '',
+
+    // Where libraries and model weights are loaded from, tried in order
+    vendorSources: ['local', 'cdn'],
+
+    // Character database
+    manifestUrl: 'assets/characters.json',
+
+    // Start with the group photo toggle switched on
+    groupMode: false,
+
+    // Cross-fade between screens (ms for each half: out, then in)
+    screenFadeMs: 300,
+
+    // Calmer animations - no flash, flicker or confetti: 'auto' follows the
+    // system's prefers-reduced-motion setting, true/false force it
+    reducedMotion: 'auto',
+
+    // Face detector: 'ssd', 'tiny' or 'auto' (benchmark at startup).
+    // Can also be forced with ?detector=ssd or ?detector=tiny
+    detector: 'auto',
+    // Longest SSD detection (ms, estimated by the startup benchmark - see detectors.js)
+    // 'auto' accepts before picking the Tiny Face Detector. The webcam tracker runs a
+    // detection every tick, so much slower than this the framing guide lags behind.
+    ssdTargetMs: 400,
+    ssdMinConfidence: 0.5,
+    // Tiny Face Detector input size (multiple of 32, smaller is faster)
+    tinyInputSize: 416,
+    tinyScoreThreshold: 0.5,
+
+    // Run face detection in a Web Worker so the page doesn't freeze
+    // (falls back to the main thread where workers can't run it)
+    detectionWorker: true,
+
+    // Landmark overlay style per event: 'dots', 'fade', 'delaunay', 'hud' or 'thermal',
+    // or { style, ...options } for custom colours, glow and timing.
+    // ?landmarks=<style> in the URL overrides them all
+    landmarkStyles: {
+        analysis: 'dots',
+        group: { style: 'dots', delayBetweenPoints: 15 },
+        tracking: { style: 'dots', pointRadius: 2, glow: 4 }
+    },
+
+    // Webcam: countdown length, and frames captured around the shutter
+    // (the sharpest with eyes open is used; 1 = a single frame)
+    countdownSeconds: 3,
+    burstSize: 5,
+    burstIntervalMs: 80,
+
+    // Webcam: ms between live tracking detections
+    trackingIntervalMs: 100,
+    // Start the countdown by itself once a well-framed face holds still
+    autoCapture: false,
+    autoCaptureSteadyMs: 1000,
+
+    // Rotate face crops upright on the eyes (false: plain padded bounding box)
+    alignFaces: true,
+
+    // Real face-descriptor matching instead of the prank (also ?mode=honest)
+    honestMode: false,
+
+    // Reject dark, blurry, small or turned-away faces with a specific reason
+    qualityGate: true,
+
+    // Expression and age/gender readout on the analysis screen
+    // (loads two extra models, ~760 KB - if they fail, the readout is left out)
+    faceAttributes: false,
+
+    // Reveal: warp the user's face into the result along their landmarks
+    // (false, or no landmarks for the result image: plain cross-fade)
+    revealMorph: true,
+    morphDurationMs: 2500,
+
+    // Matching screen: bars comparing measurements from your landmarks with each character's
+    featureHud: true,
+
+    // Matching sequence length, and its tension curve (see MatchNarrative.defaults:
+    // nearMisses, nearMissRange, baseline, slowdown, ...). A matchingSeed (number or
+    // string) plays the same characters, scores and timing every run, for demos.
+    matchingDurationMs: 5000,
+    matchingSeed: null,
+    matchingNarrative: {},
+
+    // Reveal sequence: 'classic', 'slots', 'glitch', 'newspaper', 'dossier',
+    // 'random', { weights: { classic: 3, slots: 1 } } or { style, ...options }
+    // (also ?reveal=<style>)
+    reveal: 'classic'
+};
+
+export const Config = {
+    ...DEFAULTS,
+    ...(window.MOVIE_DOPPELGANGER_CONFIG || {})
+};
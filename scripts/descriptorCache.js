@@ -0,0 +1,75 @@
+// Descriptor Cache Module - Stores character face descriptors in IndexedDB
+
+const DB_NAME = 'movie-doppelganger';
+const DB_VERSION = 1;
+const STORE_NAME = 'descriptors';
+
+export class DescriptorCache {
+    constructor() {
+        this.dbPromise = null;
+        // Used instead when IndexedDB is unavailable (e.g. some private browsing modes)
+        this.memory = new Map();
+    }
+
+    /**
+     * Open the database once; resolves to null if IndexedDB can't be used
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                if (!('indexedDB' in window)) {
+                    resolve(null);
+                    return;
+                }
+
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE_NAME);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('IndexedDB unavailable, descriptors will not be cached:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Look up a descriptor; resolves to a Float32Array or null
+     */
+    async get(key) {
+        const db = await this.open();
+        if (!db) {
+            return this.memory.get(key) || null;
+        }
+
+        return new Promise((resolve) => {
+            const request = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(key);
+            request.onsuccess = () => resolve(request.result ? new Float32Array(request.result) : null);
+            request.onerror = () => resolve(null);
+        });
+    }
+
+    /**
+     * Store a descriptor
+     */
+    async put(key, descriptor) {
+        const db = await this.open();
+        if (!db) {
+            this.memory.set(key, descriptor);
+            return;
+        }
+
+        return new Promise((resolve) => {
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            transaction.objectStore(STORE_NAME).put(Array.from(descriptor), key);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => {
+                console.warn(`Could not cache descriptor for ${key}:`, transaction.error);
+                resolve();
+            };
+        });
+    }
+}
@@ -0,0 +1,141 @@
+// Detection Worker - Runs face-api model loading and inference off the main thread
+//
+// A classic (non-module) worker so face-api's UMD build can be pulled in with
+// importScripts. Started and spoken to by DetectionWorkerClient; every message
+// is { id, type, payload } and every reply is { id, result } or { id, error }.
+
+let detectionOptions = null;
+let useTinyLandmarks = false;
+
+/**
+ * face-api only recognises browser and Node.js environments, so describe the
+ * worker to it: OffscreenCanvas stands in for every canvas it creates
+ */
+function setupEnvironment() {
+    faceapi.env.setEnv({
+        Canvas: OffscreenCanvas,
+        CanvasRenderingContext2D: OffscreenCanvasRenderingContext2D,
+        Image: ImageBitmap,
+        ImageData: ImageData,
+        Video: class {},
+        createCanvasElement: () => new OffscreenCanvas(1, 1),
+        createImageElement: () => {
+            throw new Error('Image elements are not available in the detection worker');
+        },
+        fetch: (...args) => fetch(...args),
+        readFile: () => {
+            throw new Error('readFile is not available in the detection worker');
+        }
+    });
+}
+
+/**
+ * Load face-api and the given nets, and set up the detector options
+ * Resolves to { backend, loaded } - the nets that actually loaded
+ */
+async function init({ faceApiUrl, models, detector }) {
+    importScripts(faceApiUrl);
+    setupEnvironment();
+
+    const loaded = [];
+    for (const { net, url } of models) {
+        try {
+            await faceapi.nets[net].loadFromUri(url);
+            loaded.push(net);
+        } catch (error) {
+            console.warn(`Detection worker could not load ${net}:`, error);
+        }
+    }
+
+    detectionOptions = new faceapi[detector.optionsClass](detector.params);
+    useTinyLandmarks = detector.tinyLandmarks;
+
+    if (faceapi.tf.ready) {
+        await faceapi.tf.ready();
+    }
+    return { backend: faceapi.tf.getBackend(), loaded };
+}
+
+/**
+ * Build the detection task, with the attribute nets the page asked for
+ */
+function createTask(canvas, all, { expressions, ageGender }) {
+    let task = all
+        ? faceapi.detectAllFaces(canvas, detectionOptions)
+        : faceapi.detectSingleFace(canvas, detectionOptions);
+
+    task = task.withFaceLandmarks(useTinyLandmarks);
+    if (expressions && faceapi.nets.faceExpressionNet.isLoaded) task = task.withFaceExpressions();
+    if (ageGender && faceapi.nets.ageGenderNet.isLoaded) task = task.withAgeAndGender();
+    return task;
+}
+
+/**
+ * The numbers a face-api FaceDetection is built from
+ */
+function serializeDetection(detection) {
+    const { relativeBox, score, imageDims } = detection;
+    return {
+        score,
+        relativeBox: { x: relativeBox.x, y: relativeBox.y, width: relativeBox.width, height: relativeBox.height },
+        imageDims: { width: imageDims.width, height: imageDims.height }
+    };
+}
+
+/**
+ * face-api results are class instances that don't survive postMessage,
+ * so send the plain numbers (DetectionWorkerClient.revive rebuilds them)
+ */
+function serialize(result) {
+    const landmarks = result.landmarks;
+
+    return {
+        detection: serializeDetection(result.detection),
+        alignedRect: result.alignedRect ? serializeDetection(result.alignedRect) : undefined,
+        landmarks: {
+            relativePositions: landmarks.relativePositions.map(point => ({ x: point.x, y: point.y })),
+            imageDims: { width: landmarks.imageWidth, height: landmarks.imageHeight },
+            shift: { x: landmarks.shift.x, y: landmarks.shift.y }
+        },
+        expressions: result.expressions ? { ...result.expressions } : undefined,
+        age: result.age,
+        gender: result.gender,
+        genderProbability: result.genderProbability
+    };
+}
+
+/**
+ * Detect on a transferred ImageBitmap - one face, or all of them
+ */
+async function detect({ bitmap, all, attributes }) {
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    const result = await createTask(canvas, all, attributes);
+
+    if (all) {
+        return result.map(serialize);
+    }
+    return result ? serialize(result) : null;
+}
+
+const handlers = {
+    init,
+    detectFace: payload => detect({ ...payload, all: false }),
+    detectAllFaces: payload => detect({ ...payload, all: true })
+};
+
+self.onmessage = async (event) => {
+    const { id, type, payload } = event.data;
+
+    try {
+        if (!handlers[type]) {
+            throw new Error(`Unknown detection worker message "${type}"`);
+        }
+        const result = await handlers[type](payload);
+        self.postMessage({ id, result });
+    } catch (error) {
+        self.postMessage({ id, error: error.message || String(error) });
+    }
+};
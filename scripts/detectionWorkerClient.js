@@ -0,0 +1,176 @@
+// Detection Worker Client Module - Promise-based API for the detection worker
+
+const WORKER_URL = 'scripts/detectionWorker.js';
+
+// Loading the models and compiling WebGL shaders in the worker can take a while on slow devices
+const INIT_TIMEOUT_MS = 60000;
+const DETECT_TIMEOUT_MS = 30000;
+
+export class DetectionWorkerClient {
+    constructor() {
+        this.worker = null;
+        this.nextId = 1;
+        // Requests waiting for a reply, by message id
+        this.pending = new Map();
+        this.backend = null;
+        this.loadedNets = [];
+    }
+
+    /**
+     * Workers can only run face-api if they can draw: OffscreenCanvas plus
+     * createImageBitmap to hand images over
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap !== 'undefined';
+    }
+
+    /**
+     * Start the worker and load face-api and the models into it
+     * models: [{ net, url }]; detector: an entry from DETECTORS
+     * Resolves to { backend, loaded }; rejects (and stops the worker) on failure
+     */
+    async start({ faceApiUrl, models, detector, config }) {
+        this.worker = new Worker(WORKER_URL);
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            this.failAll(new Error(event.message || 'Detection worker error'));
+        };
+
+        // The worker resolves URLs against its own location, so make them absolute
+        const absolute = url => new URL(url, document.baseURI).href;
+
+        try {
+            const result = await this.request('init', {
+                faceApiUrl: absolute(faceApiUrl),
+                models: models.map(({ net, url }) => ({ net, url: absolute(url) })),
+                detector: {
+                    optionsClass: detector.optionsClass,
+                    params: detector.optionParams(config),
+                    tinyLandmarks: detector.tinyLandmarks
+                }
+            }, INIT_TIMEOUT_MS);
+
+            this.backend = result.backend;
+            this.loadedNets = result.loaded;
+            return result;
+        } catch (error) {
+            this.terminate();
+            throw error;
+        }
+    }
+
+    /**
+     * Send a message; resolves with the worker's reply
+     */
+    request(type, payload, timeoutMs = DETECT_TIMEOUT_MS, transfer = []) {
+        return new Promise((resolve, reject) => {
+            if (!this.worker) {
+                reject(new Error('Detection worker is not running'));
+                return;
+            }
+
+            const id = this.nextId++;
+            const timeout = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`Detection worker timed out on "${type}"`));
+            }, timeoutMs);
+
+            this.pending.set(id, { resolve, reject, timeout });
+            this.worker.postMessage({ id, type, payload }, transfer);
+        });
+    }
+
+    /**
+     * Settle the request a reply belongs to
+     */
+    handleMessage({ id, result, error }) {
+        const request = this.pending.get(id);
+        if (!request) return;
+
+        this.pending.delete(id);
+        clearTimeout(request.timeout);
+
+        if (error) {
+            request.reject(new Error(error));
+        } else {
+            request.resolve(result);
+        }
+    }
+
+    /**
+     * Reject everything in flight (the worker crashed or was stopped)
+     */
+    failAll(error) {
+        this.pending.forEach(request => {
+            clearTimeout(request.timeout);
+            request.reject(error);
+        });
+        this.pending.clear();
+    }
+
+    /**
+     * Detect the most prominent face - same result shape as FaceDetection.detectFace
+     * attributes: { expressions, ageGender } - which attribute nets to run
+     */
+    async detectFace(input, attributes) {
+        const bitmap = await createImageBitmap(input);
+        const result = await this.request('detectFace', { bitmap, attributes }, DETECT_TIMEOUT_MS, [bitmap]);
+        return result ? DetectionWorkerClient.revive(result) : null;
+    }
+
+    /**
+     * Detect every face - same result shape as FaceDetection.detectAllFaces (before sorting)
+     */
+    async detectAllFaces(input, attributes) {
+        const bitmap = await createImageBitmap(input);
+        const results = await this.request('detectAllFaces', { bitmap, attributes }, DETECT_TIMEOUT_MS, [bitmap]);
+        return results.map(result => DetectionWorkerClient.revive(result));
+    }
+
+    /**
+     * Turn a worker result back into face-api's own classes, so it behaves like a
+     * main-thread result: FaceDetection for detection and alignedRect, FaceLandmarks68
+     * for (unshifted) landmarks, FaceExpressions, and the age and gender as they are
+     */
+    static revive(result) {
+        const detection = ({ score, relativeBox, imageDims }) => new faceapi.FaceDetection(
+            score,
+            new faceapi.Rect(relativeBox.x, relativeBox.y, relativeBox.width, relativeBox.height),
+            new faceapi.Dimensions(imageDims.width, imageDims.height)
+        );
+        const point = ({ x, y }) => new faceapi.Point(x, y);
+        const { relativePositions, imageDims, shift } = result.landmarks;
+        const dims = new faceapi.Dimensions(imageDims.width, imageDims.height);
+
+        const revived = {
+            ...result,
+            detection: detection(result.detection),
+            landmarks: new faceapi.FaceLandmarks68(relativePositions.map(point), dims, point(shift)),
+            unshiftedLandmarks: new faceapi.FaceLandmarks68(relativePositions.map(point), dims)
+        };
+        if (result.alignedRect) {
+            revived.alignedRect = detection(result.alignedRect);
+        }
+        if (result.expressions) {
+            revived.expressions = Object.assign(Object.create(faceapi.FaceExpressions.prototype), result.expressions);
+        }
+        if (result.descriptor) {
+            revived.descriptor = new Float32Array(result.descriptor);
+        }
+        return revived;
+    }
+
+    /**
+     * Stop the worker; later requests fail straight away
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.failAll(new Error('Detection worker stopped'));
+    }
+}
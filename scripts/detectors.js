@@ -0,0 +1,154 @@
+// Detectors Module - Face detector choices and the startup benchmark that picks one
+//
+// The benchmark runs the first layers of SSD's own MobileNet v1 backbone at the
+// 512x512 input face-api uses, and scales the time up by compute to estimate a
+// whole SSD detection. MobileNet v1 is 569M multiply-adds at 224x224 (Howard et
+// al., 2017), so (512/224)^2 times that at 512x512 - about 3.0G with the SSD box
+// predictors. The slice below is about 0.35G of the same kinds of layers. It is
+// an estimate (per-layer overhead and later layers' efficiency differ), but it is
+// in milliseconds of real detector work, compared against ssdTargetMs.
+
+// Whole SSD MobileNet v1 detection at 512x512, in multiply-adds
+const SSD_MULTIPLY_ADDS = 3.0e9;
+
+// The benchmark slice: MobileNet v1's opening layers as [kind, stride, output channels]
+const BENCHMARK_LAYERS = [
+    ['conv', 2, 32],
+    ['depthwise', 1, 32],
+    ['pointwise', 1, 64],
+    ['depthwise', 2, 64],
+    ['pointwise', 1, 128]
+];
+const BENCHMARK_INPUT_SIZE = 512;
+
+export const DETECTORS = {
+    ssd: {
+        id: 'ssd',
+        label: 'SSD MobileNet v1',
+        models: ['ssdMobilenetv1', 'faceLandmark68Net'],
+        tinyLandmarks: false,
+        // face-api options class, built from plain params so the detection worker can rebuild it
+        optionsClass: 'SsdMobilenetv1Options',
+        optionParams(config) {
+            return { minConfidence: config.ssdMinConfidence };
+        },
+        createOptions(config) {
+            return new faceapi[this.optionsClass](this.optionParams(config));
+        }
+    },
+    tiny: {
+        id: 'tiny',
+        label: 'Tiny Face Detector',
+        models: ['tinyFaceDetector', 'faceLandmark68TinyNet'],
+        tinyLandmarks: true,
+        optionsClass: 'TinyFaceDetectorOptions',
+        optionParams(config) {
+            return {
+                inputSize: DetectorSelector.normalizeInputSize(config.tinyInputSize),
+                scoreThreshold: config.tinyScoreThreshold
+            };
+        },
+        createOptions(config) {
+            return new faceapi[this.optionsClass](this.optionParams(config));
+        }
+    }
+};
+
+export class DetectorSelector {
+    /**
+     * Pick a detector: ?detector= in the URL, then config, then the benchmark
+     * Returns { detector, reason }
+     */
+    static choose(config) {
+        const override = new URLSearchParams(window.location.search).get('detector');
+        if (override && DETECTORS[override]) {
+            return { detector: DETECTORS[override], reason: 'URL override' };
+        }
+
+        if (DETECTORS[config.detector]) {
+            return { detector: DETECTORS[config.detector], reason: 'configured' };
+        }
+
+        if (config.detector !== 'auto') {
+            console.warn(`Unknown detector "${config.detector}", choosing automatically`);
+        }
+
+        const backend = faceapi.tf.getBackend();
+        if (backend === 'cpu') {
+            return { detector: DETECTORS.tiny, reason: 'auto, no GPU backend' };
+        }
+
+        const ms = DetectorSelector.benchmark();
+        const estimate = ms * SSD_MULTIPLY_ADDS / DetectorSelector.benchmarkMultiplyAdds();
+        const detector = estimate > config.ssdTargetMs ? DETECTORS.tiny : DETECTORS.ssd;
+        console.log(`Detector benchmark: ${ms.toFixed(1)} ms per pass on ${backend}, ` +
+            `SSD estimated at ${Math.round(estimate)} ms - using ${detector.label}`);
+
+        return { detector, reason: `auto, SSD estimated at ${Math.round(estimate)} ms` };
+    }
+
+    /**
+     * Multiply-adds in one pass of BENCHMARK_LAYERS
+     */
+    static benchmarkMultiplyAdds() {
+        let size = BENCHMARK_INPUT_SIZE;
+        let channels = 3;
+        let total = 0;
+
+        BENCHMARK_LAYERS.forEach(([kind, stride, out]) => {
+            size /= stride;
+            const pixels = size * size;
+            if (kind === 'conv') total += pixels * 9 * channels * out;
+            if (kind === 'depthwise') total += pixels * 9 * channels;
+            if (kind === 'pointwise') total += pixels * channels * out;
+            channels = out;
+        });
+        return total;
+    }
+
+    /**
+     * Time BENCHMARK_LAYERS on a random 512x512 image
+     * Returns average milliseconds per pass (after one warm-up pass)
+     */
+    static benchmark(iterations = 3) {
+        const tf = faceapi.tf;
+
+        const run = () => {
+            const result = tf.tidy(() => {
+                let x = tf.randomNormal([1, BENCHMARK_INPUT_SIZE, BENCHMARK_INPUT_SIZE, 3]);
+                let channels = 3;
+                BENCHMARK_LAYERS.forEach(([kind, stride, out]) => {
+                    if (kind === 'conv') {
+                        x = tf.conv2d(x, tf.randomNormal([3, 3, channels, out]), stride, 'same');
+                    } else if (kind === 'depthwise') {
+                        x = tf.depthwiseConv2d(x, tf.randomNormal([3, 3, channels, 1]), stride, 'same');
+                    } else {
+                        x = tf.conv2d(x, tf.randomNormal([1, 1, channels, out]), 1, 'same');
+                    }
+                    x = tf.relu(x);
+                    channels = out;
+                });
+                return x.mean();
+            });
+            result.dataSync();
+            result.dispose();
+        };
+
+        // Warm-up compiles shaders on WebGL, so leave it out of the timing
+        run();
+
+        const start = performance.now();
+        for (let i = 0; i < iterations; i++) {
+            run();
+        }
+        return (performance.now() - start) / iterations;
+    }
+
+    /**
+     * Tiny Face Detector input size must be a multiple of 32
+     */
+    static normalizeInputSize(size) {
+        const clamped = Math.min(608, Math.max(128, size));
+        return Math.round(clamped / 32) * 32;
+    }
+}
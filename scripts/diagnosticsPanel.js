@@ -0,0 +1,134 @@
+// Diagnostics Panel Module - Lists asset load problems on the loading screen
+
+import { AssetGroup, AssetStatus } from './assetTracker.js';
+
+const STATUS_LABELS = {
+    [AssetStatus.PENDING]: 'waiting',
+    [AssetStatus.LOADING]: 'loading',
+    [AssetStatus.LOADED]: 'ok',
+    [AssetStatus.FAILED]: 'failed',
+    [AssetStatus.TIMEOUT]: 'timed out'
+};
+
+export class DiagnosticsPanel {
+    constructor(preloader) {
+        this.preloader = preloader;
+        this.panel = document.getElementById('diagnostics-panel');
+        this.summary = document.getElementById('diagnostics-summary');
+        this.list = document.getElementById('diagnostics-list');
+        this.retryBtn = document.getElementById('diagnostics-retry-btn');
+        this.continueBtn = document.getElementById('diagnostics-continue-btn');
+
+        // Byte progress fires per chunk, so redraw at most once per frame
+        this.renderScheduled = false;
+        this.preloader.tracker.onChange(() => this.scheduleRender());
+    }
+
+    /**
+     * Queue a redraw for the next animation frame
+     */
+    scheduleRender() {
+        if (this.renderScheduled) return;
+        this.renderScheduled = true;
+        requestAnimationFrame(() => {
+            this.renderScheduled = false;
+            this.render();
+        });
+    }
+
+    /**
+     * Format a byte count for display
+     */
+    static formatBytes(bytes) {
+        if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${bytes} B`;
+    }
+
+    /**
+     * Redraw the asset list, failures first
+     */
+    render() {
+        const tracker = this.preloader.tracker;
+        const assets = tracker.getAll();
+        const failed = tracker.getFailed();
+        const manifestErrors = this.preloader.assets.manifestErrors || [];
+
+        this.summary.textContent = failed.length > 0
+            ? `Diagnostics - ${failed.length} of ${assets.length} assets failed`
+            : `Diagnostics - ${assets.length} assets`;
+        this.panel.classList.toggle('has-failures', failed.length > 0 || manifestErrors.length > 0);
+
+        const sorted = [...failed, ...assets.filter(asset => !failed.includes(asset))];
+
+        this.list.innerHTML = '';
+        manifestErrors.forEach(error => {
+            this.list.appendChild(this.createItem('manifest', 'Character manifest', error));
+        });
+        sorted.forEach(asset => {
+            const size = asset.totalBytes || asset.loadedBytes
+                ? `${DiagnosticsPanel.formatBytes(asset.loadedBytes)} / ${DiagnosticsPanel.formatBytes(asset.totalBytes || asset.estimatedBytes)}`
+                : '';
+            const detail = asset.error || asset.url || '';
+            this.list.appendChild(this.createItem(asset.status, asset.label, [STATUS_LABELS[asset.status], size, detail]
+                .filter(Boolean).join(' · ')));
+        });
+    }
+
+    /**
+     * Create one list row
+     */
+    createItem(status, label, detail) {
+        const item = document.createElement('li');
+        item.className = `diagnostics-item status-${status}`;
+
+        const name = document.createElement('span');
+        name.className = 'diagnostics-label';
+        name.textContent = label;
+
+        const info = document.createElement('span');
+        info.className = 'diagnostics-detail';
+        info.textContent = detail;
+
+        item.append(name, info);
+        return item;
+    }
+
+    /**
+     * If a critical asset failed, open the panel and wait until the user either
+     * gets everything loaded with "Retry failed" or chooses to continue anyway
+     */
+    resolveFailures() {
+        if (this.preloader.tracker.getFailed(AssetGroup.CRITICAL).length === 0) {
+            return Promise.resolve(this.preloader.assets);
+        }
+
+        this.panel.open = true;
+        this.panel.classList.add('awaiting-decision');
+
+        return new Promise((resolve) => {
+            const finish = (assets) => {
+                this.retryBtn.removeEventListener('click', handleRetry);
+                this.continueBtn.removeEventListener('click', handleContinue);
+                this.panel.classList.remove('awaiting-decision');
+                resolve(assets);
+            };
+
+            const handleRetry = async () => {
+                this.retryBtn.disabled = true;
+                const assets = await this.preloader.retryFailed();
+                this.retryBtn.disabled = false;
+
+                if (this.preloader.tracker.getFailed(AssetGroup.CRITICAL).length === 0) {
+                    this.panel.open = false;
+                    finish(assets);
+                }
+            };
+
+            const handleContinue = () => finish(this.preloader.assets);
+
+            this.retryBtn.addEventListener('click', handleRetry);
+            this.continueBtn.addEventListener('click', handleContinue);
+        });
+    }
+}
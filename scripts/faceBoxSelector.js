@@ -0,0 +1,168 @@
+// Face Box Selector Module - Lets the user drag a box around their face when detection finds none
+
+// Boxes smaller than this (in image pixels) are treated as a stray click
+const MIN_BOX_SIZE = 24;
+
+// Arrow keys: direction of each, and how far a press moves or resizes the box (fraction of the photo)
+const ARROW_KEYS = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+const KEY_STEP = 0.02;
+
+export class FaceBoxSelector {
+    constructor() {
+        this.container = document.getElementById('manual-face-select');
+        this.canvas = document.getElementById('manual-face-canvas');
+        this.useBtn = document.getElementById('manual-face-use-btn');
+        this.cancelBtn = document.getElementById('manual-face-cancel-btn');
+
+        this.image = null;
+        this.box = null;
+        this.dragStart = null;
+
+        this.setupPointerListeners();
+        this.canvas.addEventListener('keydown', (e) => this.handleKey(e));
+    }
+
+    setupPointerListeners() {
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (!this.image) return;
+            e.preventDefault();
+            this.canvas.setPointerCapture(e.pointerId);
+            this.dragStart = this.toImagePoint(e);
+            this.setBox(null);
+        });
+
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (!this.dragStart) return;
+            this.setBox(FaceBoxSelector.boxBetween(this.dragStart, this.toImagePoint(e)));
+        });
+
+        const endDrag = (e) => {
+            if (!this.dragStart) return;
+            const box = FaceBoxSelector.boxBetween(this.dragStart, this.toImagePoint(e));
+            this.dragStart = null;
+            this.setBox(box.width >= MIN_BOX_SIZE && box.height >= MIN_BOX_SIZE ? box : null);
+        };
+        this.canvas.addEventListener('pointerup', endDrag);
+        this.canvas.addEventListener('pointercancel', endDrag);
+    }
+
+    /**
+     * Keyboard boxing: the first arrow press puts a box in the middle, then arrows
+     * move it and Shift+arrows make it wider/narrower or taller/shorter
+     */
+    handleKey(e) {
+        const direction = ARROW_KEYS[e.key];
+        if (!this.image || !direction) return;
+        e.preventDefault();
+
+        const { width, height } = this.canvas;
+        const step = Math.max(2, Math.round(Math.min(width, height) * KEY_STEP));
+        const [dx, dy] = direction;
+        let box = this.box;
+
+        if (!box) {
+            const size = Math.round(Math.min(width, height) * 0.4);
+            box = { x: (width - size) / 2, y: (height - size) / 2, width: size, height: size };
+        } else if (e.shiftKey) {
+            box = {
+                ...box,
+                width: Math.min(width, Math.max(MIN_BOX_SIZE, box.width + dx * step)),
+                height: Math.min(height, Math.max(MIN_BOX_SIZE, box.height + dy * step))
+            };
+        } else {
+            box = { ...box, x: box.x + dx * step, y: box.y + dy * step };
+        }
+
+        box.x = Math.min(width - box.width, Math.max(0, box.x));
+        box.y = Math.min(height - box.height, Math.max(0, box.y));
+        this.setBox(box);
+    }
+
+    /**
+     * Show the photo and resolve with the box the user drew ({ x, y, width, height }
+     * in image pixels), or null if they cancel or signal aborts
+     */
+    select(image, signal = null) {
+        this.image = image;
+        this.canvas.width = image.width;
+        this.canvas.height = image.height;
+        this.setBox(null);
+        this.container.classList.remove('hidden');
+        this.canvas.focus();
+
+        return new Promise((resolve) => {
+            const finish = (box) => {
+                this.useBtn.removeEventListener('click', handleUse);
+                this.cancelBtn.removeEventListener('click', handleCancel);
+                if (signal) signal.removeEventListener('abort', handleCancel);
+                this.hide();
+                resolve(box);
+            };
+            const handleUse = () => finish(this.box);
+            const handleCancel = () => finish(null);
+
+            this.useBtn.addEventListener('click', handleUse);
+            this.cancelBtn.addEventListener('click', handleCancel);
+            if (signal) signal.addEventListener('abort', handleCancel);
+        });
+    }
+
+    /**
+     * Hide the selector and let go of the photo
+     */
+    hide() {
+        this.container.classList.add('hidden');
+        this.image = null;
+        this.box = null;
+        this.dragStart = null;
+    }
+
+    /**
+     * Pointer position in image pixels - the canvas is scaled down by CSS
+     */
+    toImagePoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = (e.clientX - rect.left) * (this.canvas.width / rect.width);
+        const y = (e.clientY - rect.top) * (this.canvas.height / rect.height);
+        return {
+            x: Math.min(this.canvas.width, Math.max(0, x)),
+            y: Math.min(this.canvas.height, Math.max(0, y))
+        };
+    }
+
+    static boxBetween(a, b) {
+        return {
+            x: Math.min(a.x, b.x),
+            y: Math.min(a.y, b.y),
+            width: Math.abs(b.x - a.x),
+            height: Math.abs(b.y - a.y)
+        };
+    }
+
+    /**
+     * Redraw the photo with the box, dimming everything outside it
+     */
+    setBox(box) {
+        this.box = box;
+        this.useBtn.disabled = !box || box.width < MIN_BOX_SIZE || box.height < MIN_BOX_SIZE;
+
+        const ctx = this.canvas.getContext('2d');
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        if (!this.image) return;
+        ctx.drawImage(this.image, 0, 0);
+        if (!box) return;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.beginPath();
+        ctx.rect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.rect(box.x, box.y, box.width, box.height);
+        ctx.fill('evenodd');
+
+        ctx.strokeStyle = '#10b981';
+        ctx.lineWidth = Math.max(2, this.canvas.width / 300);
+        ctx.setLineDash([10, 6]);
+        ctx.strokeRect(box.x, box.y, box.width, box.height);
+        ctx.restore();
+    }
+}
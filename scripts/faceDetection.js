@@ -1,28 +1,223 @@
 // Face Detection Module - Handles face-api.js integration
 
+import { Config } from './config.js';
+import { DETECTORS } from './detectors.js';
+import { DetectionWorkerClient } from './detectionWorkerClient.js';
+import { LandmarkRenderers } from './landmarkRenderers.js';
+
+// Distance between eye centres in an aligned crop, in pixels
+const CANONICAL_EYE_DISTANCE = 120;
+
+// An average face's 68 landmarks as fractions of its landmark bounds (jaw 0-16,
+// brows 17-26, nose 27-35, eyes 36-47, mouth 48-67). Stands in for real landmarks
+// when the landmark net can't be run on a hand-drawn box.
+const MEAN_FACE = [
+    [0.00, 0.20], [0.01, 0.33], [0.03, 0.46], [0.06, 0.58], [0.11, 0.70], [0.18, 0.80], [0.27, 0.88], [0.38, 0.95], [0.50, 0.97],
+    [0.62, 0.95], [0.73, 0.88], [0.82, 0.80], [0.89, 0.70], [0.94, 0.58], [0.97, 0.46], [0.99, 0.33], [1.00, 0.20],
+    [0.08, 0.08], [0.15, 0.03], [0.23, 0.01], [0.31, 0.02], [0.40, 0.05],
+    [0.60, 0.05], [0.69, 0.02], [0.77, 0.01], [0.85, 0.03], [0.92, 0.08],
+    [0.50, 0.18], [0.50, 0.27], [0.50, 0.36], [0.50, 0.45],
+    [0.40, 0.52], [0.45, 0.54], [0.50, 0.55], [0.55, 0.54], [0.60, 0.52],
+    [0.18, 0.20], [0.23, 0.17], [0.30, 0.17], [0.36, 0.21], [0.30, 0.23], [0.23, 0.23],
+    [0.64, 0.21], [0.70, 0.17], [0.77, 0.17], [0.82, 0.20], [0.77, 0.23], [0.70, 0.23],
+    [0.33, 0.71], [0.39, 0.67], [0.45, 0.65], [0.50, 0.66], [0.55, 0.65], [0.61, 0.67],
+    [0.67, 0.71], [0.61, 0.77], [0.55, 0.79], [0.50, 0.80], [0.45, 0.79], [0.39, 0.77],
+    [0.35, 0.71], [0.45, 0.69], [0.50, 0.70], [0.55, 0.69], [0.65, 0.71], [0.55, 0.73], [0.50, 0.74], [0.45, 0.73]
+];
+
 export class FaceDetection {
-    constructor() {
-        this.detectionOptions = new faceapi.SsdMobilenetv1Options({
-            minConfidence: 0.5
-        });
+    constructor(detector = DETECTORS.ssd) {
+        this.detector = detector;
+        this.detectionOptions = detector.createOptions(Config);
+        this.useTinyLandmarks = detector.tinyLandmarks;
+
+        // Expression and age/gender nets, switched on by enableAttributes()
+        this.useExpressions = false;
+        this.useAgeGender = false;
+
+        // Off-main-thread detection, set up by startWorker()
+        this.worker = null;
+    }
+
+    /**
+     * Move inference into a Web Worker so the page keeps animating while it runs.
+     * Falls back to the main thread (resolves false) if workers can't run face-api here.
+     * modelUrls: { netName: weightsBaseUrl } for the nets already loaded on this page
+     */
+    async startWorker(faceApiUrl, modelUrls) {
+        if (!DetectionWorkerClient.isSupported()) {
+            console.log('Detection worker unsupported in this browser, detecting on the main thread');
+            return false;
+        }
+
+        const client = new DetectionWorkerClient();
+        try {
+            const { backend, loaded } = await client.start({
+                faceApiUrl,
+                models: Object.keys(modelUrls).map(net => ({ net, url: modelUrls[net] })),
+                detector: this.detector,
+                config: Config
+            });
+
+            // Without the detector and landmark nets the worker is no use
+            if (!this.detector.models.every(net => loaded.includes(net))) {
+                throw new Error('detector models did not load in the worker');
+            }
+
+            this.worker = client;
+            console.log(`Detection worker ready (${backend} backend)`);
+            return true;
+        } catch (error) {
+            console.warn('Detection worker unavailable, detecting on the main thread:', error);
+            client.terminate();
+            return false;
+        }
+    }
+
+    /**
+     * Give up on the worker after a failure - later detections run in-thread
+     */
+    stopWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    /**
+     * Run a detection in the worker if there is one
+     * Resolves to { handled: false } when the main thread should do it instead
+     */
+    async detectInWorker(method, input, attributes = { expressions: this.useExpressions, ageGender: this.useAgeGender }) {
+        if (!this.worker) {
+            return { handled: false };
+        }
+
+        try {
+            const result = await this.worker[method](input, attributes);
+            return { handled: true, result };
+        } catch (error) {
+            console.warn('Detection worker failed, detecting on the main thread from now on:', error);
+            this.stopWorker();
+            return { handled: false };
+        }
+    }
+
+    /**
+     * Run the expression and age/gender nets alongside landmarks,
+     * for whichever of them actually loaded
+     */
+    enableAttributes() {
+        this.useExpressions = faceapi.nets.faceExpressionNet.isLoaded;
+        this.useAgeGender = faceapi.nets.ageGenderNet.isLoaded;
+
+        if (!this.useExpressions && !this.useAgeGender) {
+            console.warn('Face attribute models are unavailable - readout is off');
+        } else if (!this.useExpressions || !this.useAgeGender) {
+            console.warn('Some face attribute models are unavailable - readout will be partial');
+        }
+    }
+
+    /**
+     * Add the enabled attribute nets to a face-api task
+     */
+    withAttributes(task) {
+        let result = task;
+        if (this.useExpressions) result = result.withFaceExpressions();
+        if (this.useAgeGender) result = result.withAgeAndGender();
+        return result;
     }
 
     /**
      * Detect face in image
      */
     async detectFace(input) {
+        const fromWorker = await this.detectInWorker('detectFace', input);
+        if (fromWorker.handled) {
+            return fromWorker.result;
+        }
+
+        const task = () => faceapi
+            .detectSingleFace(input, this.detectionOptions)
+            .withFaceLandmarks(this.useTinyLandmarks);
+
         try {
-            const detection = await faceapi
-                .detectSingleFace(input, this.detectionOptions)
-                .withFaceLandmarks();
+            const detection = await this.withAttributes(task());
 
             return detection;
         } catch (error) {
-            console.error('Error detecting face:', error);
+            if (!this.useExpressions && !this.useAgeGender) {
+                console.error('Error detecting face:', error);
+                return null;
+            }
+
+            // Attribute nets are extras - never let them cost us the face
+            console.warn('Face attribute analysis failed, retrying without it:', error);
+            try {
+                return await task();
+            } catch (retryError) {
+                console.error('Error detecting face:', retryError);
+                return null;
+            }
+        }
+    }
+
+    /**
+     * Quick detection for live tracking: face and landmarks only, no attribute nets
+     */
+    async trackFace(input) {
+        const fromWorker = await this.detectInWorker('detectFace', input, { expressions: false, ageGender: false });
+        if (fromWorker.handled) {
+            return fromWorker.result;
+        }
+
+        try {
+            return await faceapi
+                .detectSingleFace(input, this.detectionOptions)
+                .withFaceLandmarks(this.useTinyLandmarks);
+        } catch (error) {
+            console.warn('Error tracking face:', error);
             return null;
         }
     }
 
+    /**
+     * Detect every face in image, ordered left to right
+     */
+    async detectAllFaces(input) {
+        const fromWorker = await this.detectInWorker('detectAllFaces', input);
+        const detections = fromWorker.handled
+            ? fromWorker.result
+            : await this.detectAllFacesInThread(input);
+
+        return detections.sort((a, b) => a.detection.box.x - b.detection.box.x);
+    }
+
+    /**
+     * detectAllFaces on the main thread
+     */
+    async detectAllFacesInThread(input) {
+        const task = () => faceapi
+            .detectAllFaces(input, this.detectionOptions)
+            .withFaceLandmarks(this.useTinyLandmarks);
+
+        try {
+            return await this.withAttributes(task());
+        } catch (error) {
+            if (!this.useExpressions && !this.useAgeGender) {
+                console.error('Error detecting faces:', error);
+                return [];
+            }
+            console.warn('Face attribute analysis failed, retrying without it:', error);
+            try {
+                return await task();
+            } catch (retryError) {
+                console.error('Error detecting faces:', retryError);
+                return [];
+            }
+        }
+    }
+
     /**
      * Crop image to face bounding box with padding
      */
@@ -64,132 +259,124 @@ export class FaceDetection {
     }
 
     /**
-     * Draw 68 facial landmarks on canvas
-     */
-    drawLandmarks(canvas, landmarks, offset = { x: 0, y: 0 }) {
-        const ctx = canvas.getContext('2d');
-        const positions = landmarks.positions;
-
-        // Draw points
-        positions.forEach(point => {
-            ctx.beginPath();
-            ctx.arc(
-                point.x - offset.x,
-                point.y - offset.y,
-                2,
-                0,
-                2 * Math.PI
-            );
-            ctx.fillStyle = '#00ff00';
-            ctx.fill();
-            ctx.strokeStyle = '#00ff00';
-            ctx.lineWidth = 1;
-            ctx.stroke();
-        });
-
-        // Draw lines connecting landmarks
-        this.drawLandmarkConnections(ctx, positions, offset);
-    }
-
-    /**
-     * Draw connections between facial landmarks
+     * Crop image to the face, rotated upright on the eye landmarks (36-47)
+     * and scaled to a canonical inter-ocular distance. Padding is a fraction
+     * of the face size rather than a fixed number of pixels.
+     *
+     * The returned offset carries the affine transform from source image
+     * coordinates to crop coordinates (see mapPoint)
      */
-    drawLandmarkConnections(ctx, positions, offset) {
-        ctx.strokeStyle = '#00ff00';
-        ctx.lineWidth = 1;
+    alignFace(canvas, detection, paddingRatio = 0.3) {
+        const positions = detection.landmarks.positions;
+        const leftEye = FaceDetection.centroid(positions.slice(36, 42));
+        const rightEye = FaceDetection.centroid(positions.slice(42, 48));
+
+        const eyeDistance = Math.hypot(rightEye.x - leftEye.x, rightEye.y - leftEye.y);
+        if (eyeDistance < 1) {
+            return this.cropToFace(canvas, detection);
+        }
 
-        // Draw face outline (0-16)
-        this.drawPath(ctx, positions.slice(0, 17), offset);
+        // Rotate by minus the eye-line angle and scale - no translation yet
+        const angle = Math.atan2(rightEye.y - leftEye.y, rightEye.x - leftEye.x);
+        const scale = CANONICAL_EYE_DISTANCE / eyeDistance;
+        const cos = Math.cos(-angle) * scale;
+        const sin = Math.sin(-angle) * scale;
+        const transform = { a: cos, b: sin, c: -sin, d: cos, e: 0, f: 0 };
 
-        // Draw left eyebrow (17-21)
-        this.drawPath(ctx, positions.slice(17, 22), offset);
+        // Extent of the upright landmarks decides the face size
+        const aligned = positions.map(point => FaceDetection.applyTransform(transform, point));
+        const xs = aligned.map(point => point.x);
+        const ys = aligned.map(point => point.y);
+        const minX = Math.min(...xs);
+        const maxX = Math.max(...xs);
+        const minY = Math.min(...ys);
+        const maxY = Math.max(...ys);
+        const faceSize = Math.max(maxX - minX, maxY - minY);
 
-        // Draw right eyebrow (22-26)
-        this.drawPath(ctx, positions.slice(22, 27), offset);
+        const size = Math.round(faceSize * (1 + paddingRatio * 2));
 
-        // Draw nose bridge (27-30)
-        this.drawPath(ctx, positions.slice(27, 31), offset);
+        // Centre the face, nudged down a little to leave room for the forehead
+        // (landmarks stop at the eyebrows)
+        transform.e = size / 2 - (minX + maxX) / 2;
+        transform.f = size / 2 - (minY + maxY) / 2 + faceSize * 0.1;
 
-        // Draw nose bottom (31-35)
-        this.drawPath(ctx, positions.slice(31, 36), offset);
+        const alignedCanvas = document.createElement('canvas');
+        alignedCanvas.width = size;
+        alignedCanvas.height = size;
 
-        // Draw left eye (36-41)
-        this.drawClosedPath(ctx, positions.slice(36, 42), offset);
+        const ctx = alignedCanvas.getContext('2d');
 
-        // Draw right eye (42-47)
-        this.drawClosedPath(ctx, positions.slice(42, 48), offset);
+        // Fill with neutral color
+        ctx.fillStyle = '#1e293b';
+        ctx.fillRect(0, 0, size, size);
 
-        // Draw outer lip (48-59)
-        this.drawClosedPath(ctx, positions.slice(48, 60), offset);
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.setTransform(transform.a, transform.b, transform.c, transform.d, transform.e, transform.f);
+        ctx.drawImage(canvas, 0, 0);
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
 
-        // Draw inner lip (60-67)
-        this.drawClosedPath(ctx, positions.slice(60, 68), offset);
+        return {
+            canvas: alignedCanvas,
+            offset: { x: 0, y: 0, transform }
+        };
     }
 
     /**
-     * Draw path connecting points
+     * Crop the face the configured way (aligned, or the plain padded box)
      */
-    drawPath(ctx, points, offset) {
-        if (points.length < 2) return;
-
-        ctx.beginPath();
-        ctx.moveTo(points[0].x - offset.x, points[0].y - offset.y);
-
-        for (let i = 1; i < points.length; i++) {
-            ctx.lineTo(points[i].x - offset.x, points[i].y - offset.y);
-        }
-
-        ctx.stroke();
+    extractFace(canvas, detection) {
+        return Config.alignFaces
+            ? this.alignFace(canvas, detection)
+            : this.cropToFace(canvas, detection);
     }
 
     /**
-     * Draw closed path (connects back to start)
+     * Average position of a set of points
      */
-    drawClosedPath(ctx, points, offset) {
-        if (points.length < 2) return;
+    static centroid(points) {
+        const sum = points.reduce((acc, point) => ({ x: acc.x + point.x, y: acc.y + point.y }), { x: 0, y: 0 });
+        return { x: sum.x / points.length, y: sum.y / points.length };
+    }
 
-        ctx.beginPath();
-        ctx.moveTo(points[0].x - offset.x, points[0].y - offset.y);
+    /**
+     * Apply an affine transform { a, b, c, d, e, f } (canvas setTransform order)
+     */
+    static applyTransform(t, point) {
+        return {
+            x: t.a * point.x + t.c * point.y + t.e,
+            y: t.b * point.x + t.d * point.y + t.f
+        };
+    }
 
-        for (let i = 1; i < points.length; i++) {
-            ctx.lineTo(points[i].x - offset.x, points[i].y - offset.y);
+    /**
+     * Map a landmark from source image coordinates onto the crop.
+     * Offsets from cropToFace are a plain translation; offsets from
+     * alignFace also carry a rotation and scale.
+     */
+    static mapPoint(point, offset) {
+        if (offset.transform) {
+            return FaceDetection.applyTransform(offset.transform, point);
         }
-
-        ctx.closePath();
-        ctx.stroke();
+        return { x: point.x - offset.x, y: point.y - offset.y };
     }
 
     /**
-     * Animate landmarks appearing with fade-in effect
+     * Landmark positions mapped onto a crop (see mapPoint)
      */
-    async animateLandmarks(canvas, landmarks, offset = { x: 0, y: 0 }, duration = 2000) {
-        return new Promise((resolve) => {
-            const ctx = canvas.getContext('2d');
-            const startTime = Date.now();
-
-            const animate = () => {
-                const elapsed = Date.now() - startTime;
-                const progress = Math.min(elapsed / duration, 1);
-
-                // Clear previous landmarks (draw image again)
-                // We need to preserve the image, so we'll use globalAlpha
-                ctx.save();
-                ctx.globalAlpha = progress;
-
-                // Redraw landmarks with current opacity
-                this.drawLandmarks(canvas, landmarks, offset);
-
-                ctx.restore();
-
-                if (progress < 1) {
-                    requestAnimationFrame(animate);
-                } else {
-                    resolve();
-                }
-            };
+    static mapLandmarks(landmarks, offset = { x: 0, y: 0 }) {
+        return landmarks.positions.map(point => FaceDetection.mapPoint(point, offset));
+    }
 
-            animate();
-        });
+    /**
+     * Draw 68 facial landmarks on canvas
+     * style: a LandmarkRenderers style name, { style, ...options }, or a renderer
+     */
+    drawLandmarks(canvas, landmarks, offset = { x: 0, y: 0 }, style = 'dots') {
+        LandmarkRenderers.create(style).draw(
+            canvas.getContext('2d'),
+            [FaceDetection.mapLandmarks(landmarks, offset)]
+        );
     }
 
     /**
@@ -212,7 +399,7 @@ export class FaceDetection {
         }
 
         // Crop to face
-        const cropped = this.cropToFace(canvas, detection);
+        const cropped = this.extractFace(canvas, detection);
 
         return {
             canvas: cropped.canvas,
@@ -221,6 +408,142 @@ export class FaceDetection {
         };
     }
 
+    /**
+     * Process a face the user boxed by hand after detection found none.
+     * Runs the landmark net on that region only; if it can't, places an average
+     * face's landmarks in the box instead (result.synthetic is then true).
+     * box: { x, y, width, height } in image pixels
+     */
+    async processRegion(image, box) {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        canvas.getContext('2d').drawImage(image, 0, 0);
+
+        let landmarks = await this.detectLandmarksInRegion(canvas, box);
+        const synthetic = !landmarks;
+        if (synthetic) {
+            console.warn('Landmark detection failed on the selected region, using estimated landmarks');
+            landmarks = FaceDetection.syntheticLandmarks(box);
+        }
+
+        // Shaped like a face-api result so cropping and drawing treat it the same
+        const detection = {
+            detection: { box, score: 0 },
+            landmarks
+        };
+        const cropped = this.extractFace(canvas, detection);
+
+        return {
+            canvas: cropped.canvas,
+            detection,
+            offset: cropped.offset,
+            synthetic
+        };
+    }
+
+    /**
+     * 68 landmarks from the landmark net on a square crop around the box,
+     * in image coordinates, or null if it fails or they don't look like a face
+     */
+    async detectLandmarksInRegion(canvas, box) {
+        // The landmark net expects a roughly square face crop
+        const size = Math.max(box.width, box.height);
+        const left = box.x + box.width / 2 - size / 2;
+        const top = box.y + box.height / 2 - size / 2;
+
+        const region = document.createElement('canvas');
+        region.width = Math.round(size);
+        region.height = Math.round(size);
+        region.getContext('2d').drawImage(canvas, left, top, size, size, 0, 0, region.width, region.height);
+
+        try {
+            const landmarks = this.useTinyLandmarks
+                ? await faceapi.detectFaceLandmarksTiny(region)
+                : await faceapi.detectFaceLandmarks(region);
+            const scale = size / region.width;
+            const positions = landmarks.positions.map(point => ({
+                x: left + point.x * scale,
+                y: top + point.y * scale
+            }));
+
+            // The net always returns 68 points, face or not
+            if (!FaceDetection.plausibleLandmarks(positions, box)) {
+                console.warn('Landmarks found in the region don\'t look like a face');
+                return null;
+            }
+            return { positions };
+        } catch (error) {
+            console.warn('Error detecting landmarks in region:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Whether 68 landmarks could be a face in the box: eyes above the mouth,
+     * nearly all points inside it and the eyes a plausible distance apart for its width
+     */
+    static plausibleLandmarks(positions, box) {
+        const leftEye = FaceDetection.centroid(positions.slice(36, 42));
+        const rightEye = FaceDetection.centroid(positions.slice(42, 48));
+        const mouth = FaceDetection.centroid(positions.slice(48, 68));
+        if (leftEye.y >= mouth.y || rightEye.y >= mouth.y) return false;
+
+        const margin = Math.max(box.width, box.height) * 0.1;
+        const inside = positions.filter(point =>
+            point.x >= box.x - margin && point.x <= box.x + box.width + margin &&
+            point.y >= box.y - margin && point.y <= box.y + box.height + margin).length;
+        if (inside < positions.length * 0.9) return false;
+
+        const eyeDistance = Math.hypot(rightEye.x - leftEye.x, rightEye.y - leftEye.y);
+        return eyeDistance >= box.width * 0.15 && eyeDistance <= box.width * 0.75;
+    }
+
+    /**
+     * An average face's landmarks fitted to a box drawn around a whole face
+     * (the landmarks leave out the forehead and a little either side)
+     */
+    static syntheticLandmarks(box) {
+        const left = box.x + box.width * 0.1;
+        const top = box.y + box.height * 0.3;
+        const width = box.width * 0.8;
+        const height = box.height * 0.65;
+
+        return {
+            positions: MEAN_FACE.map(([x, y]) => ({ x: left + x * width, y: top + y * height }))
+        };
+    }
+
+    /**
+     * Process a group photo: detect and crop every face
+     * Returns the full image canvas plus one entry per face, or null if no face was found
+     */
+    async processGroupImage(image) {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0);
+
+        const detections = await this.detectAllFaces(canvas);
+
+        if (detections.length === 0) {
+            return null;
+        }
+
+        const faces = detections.map(detection => {
+            const cropped = this.extractFace(canvas, detection);
+            return {
+                canvas: cropped.canvas,
+                detection: detection,
+                offset: cropped.offset
+            };
+        });
+
+        return { canvas, faces };
+    }
+
     /**
      * Display image with animated landmarks
      */
@@ -242,43 +565,22 @@ export class FaceDetection {
     }
 
     /**
-     * Animate landmarks appearing progressively
+     * Animate landmarks appearing in the given style (the classic dots by default)
      */
-    async animateLandmarksProgressive(canvas, landmarks, offset = { x: 0, y: 0 }) {
-        const positions = landmarks.positions;
-        const ctx = canvas.getContext('2d');
-        const delayBetweenPoints = 30; // ms between each point appearing
-
-        // Draw points progressively
-        for (let i = 0; i < positions.length; i++) {
-            const point = positions[i];
-
-            // Draw point with glow effect
-            ctx.save();
-            ctx.shadowBlur = 10;
-            ctx.shadowColor = '#00ff00';
-
-            ctx.beginPath();
-            ctx.arc(
-                point.x - offset.x,
-                point.y - offset.y,
-                3,
-                0,
-                2 * Math.PI
-            );
-            ctx.fillStyle = '#00ff00';
-            ctx.fill();
-
-            ctx.restore();
-
-            await new Promise(resolve => setTimeout(resolve, delayBetweenPoints));
-        }
-
-        // Draw all connections at once
-        this.drawLandmarkConnections(ctx, positions, offset);
+    async animateLandmarksProgressive(canvas, landmarks, offset = { x: 0, y: 0 }, style = 'dots', signal = null) {
+        await this.animateAllLandmarks(canvas, [{ landmarks, offset }], style, signal);
+    }
 
-        // Wait a moment before continuing
-        await new Promise(resolve => setTimeout(resolve, 1000));
+    /**
+     * Animate several faces' landmarks together on one canvas (group photos)
+     * faces: [{ landmarks, offset }]; signal: an AbortSignal that stops the animation
+     */
+    async animateAllLandmarks(canvas, faces, style = 'dots', signal = null) {
+        const renderer = LandmarkRenderers.create(style);
+        renderer.signal = signal;
+        await renderer.animate(
+            canvas.getContext('2d'),
+            faces.map(face => FaceDetection.mapLandmarks(face.landmarks, face.offset))
+        );
     }
 }
-
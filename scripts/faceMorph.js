@@ -0,0 +1,216 @@
+// Face Morph Module - Landmark-driven warp and cross-dissolve from one face into another
+//
+// Both images are drawn as a square, cropped like CSS object-fit: cover.
+// Their 68 landmarks plus points around the edge are triangulated once (on
+// the average shape), then every frame each triangle of both images is warped
+// onto the in-between shape and the two warped images are blended.
+
+import { Animation } from './animation.js';
+import { DelaunayRenderer } from './landmarkRenderers.js';
+
+export class FaceMorph {
+    /**
+     * from/to: { image, points } - an image (canvas or <img>) and its 68 landmark
+     * positions in that image's pixels. size: side of the square output.
+     */
+    constructor(from, to, size = 400) {
+        this.size = size;
+        this.from = FaceMorph.prepare(from, size);
+        this.to = FaceMorph.prepare(to, size);
+
+        // Pin the edges so the background stays put while the face moves
+        const edge = [0, size / 2, size];
+        const border = [];
+        edge.forEach(y => edge.forEach(x => {
+            if (x !== size / 2 || y !== size / 2) border.push({ x, y });
+        }));
+        this.from.points.push(...border);
+        this.to.points.push(...border);
+
+        this.triangles = DelaunayRenderer.triangulate(
+            this.from.points.map((point, i) => FaceMorph.lerpPoint(point, this.to.points[i], 0.5))
+        );
+
+        this.fromLayer = FaceMorph.createLayer(size);
+        this.toLayer = FaceMorph.createLayer(size);
+    }
+
+    /**
+     * Draw an image into a size x size square (cover crop) and move its points along
+     */
+    static prepare({ image, points }, size) {
+        const width = image.naturalWidth || image.width;
+        const height = image.naturalHeight || image.height;
+        const scale = size / Math.min(width, height);
+        const x = (size - width * scale) / 2;
+        const y = (size - height * scale) / 2;
+
+        const canvas = FaceMorph.createLayer(size);
+        canvas.getContext('2d').drawImage(image, x, y, width * scale, height * scale);
+
+        return {
+            canvas,
+            points: points.map(point => ({ x: x + point.x * scale, y: y + point.y * scale }))
+        };
+    }
+
+    static createLayer(size) {
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        return canvas;
+    }
+
+    static lerpPoint(a, b, t) {
+        return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+    }
+
+    /**
+     * Affine transform { a, b, c, d, e, f } (canvas setTransform order)
+     * taking triangle src onto triangle dst
+     */
+    static triangleTransform(src, dst) {
+        const [s0, s1, s2] = src;
+        const [d0, d1, d2] = dst;
+        const det = (s1.x - s0.x) * (s2.y - s0.y) - (s2.x - s0.x) * (s1.y - s0.y);
+        if (Math.abs(det) < 1e-9) return null;
+
+        const solve = (v0, v1, v2) => {
+            const p = ((v1 - v0) * (s2.y - s0.y) - (v2 - v0) * (s1.y - s0.y)) / det;
+            const q = ((v2 - v0) * (s1.x - s0.x) - (v1 - v0) * (s2.x - s0.x)) / det;
+            return { p, q, r: v0 - p * s0.x - q * s0.y };
+        };
+        const x = solve(d0.x, d1.x, d2.x);
+        const y = solve(d0.y, d1.y, d2.y);
+
+        return { a: x.p, b: y.p, c: x.q, d: y.q, e: x.r, f: y.r };
+    }
+
+    /**
+     * Warp a whole image from its own points onto the target shape
+     */
+    warp(layer, source, shape) {
+        const ctx = layer.getContext('2d');
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, this.size, this.size);
+
+        this.triangles.forEach(triangle => {
+            const src = triangle.map(i => source.points[i]);
+            const dst = triangle.map(i => shape[i]);
+            const t = FaceMorph.triangleTransform(src, dst);
+            if (!t) return;
+
+            // Grow the clip a touch so neighbouring triangles overlap instead of leaving hairline gaps
+            const cx = (dst[0].x + dst[1].x + dst[2].x) / 3;
+            const cy = (dst[0].y + dst[1].y + dst[2].y) / 3;
+
+            ctx.save();
+            ctx.beginPath();
+            dst.forEach((point, i) => {
+                const length = Math.hypot(point.x - cx, point.y - cy) || 1;
+                const x = point.x + (point.x - cx) / length;
+                const y = point.y + (point.y - cy) / length;
+                if (i === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.closePath();
+            ctx.clip();
+            ctx.setTransform(t.a, t.b, t.c, t.d, t.e, t.f);
+            ctx.drawImage(source.canvas, 0, 0);
+            ctx.restore();
+        });
+    }
+
+    /**
+     * Draw the morph at t (0 = from, 1 = to)
+     */
+    drawFrame(ctx, t) {
+        const shape = this.from.points.map((point, i) => FaceMorph.lerpPoint(point, this.to.points[i], t));
+
+        this.warp(this.fromLayer, this.from, shape);
+        this.warp(this.toLayer, this.to, shape);
+
+        ctx.save();
+        ctx.clearRect(0, 0, this.size, this.size);
+        ctx.drawImage(this.fromLayer, 0, 0);
+        ctx.globalAlpha = t;
+        ctx.drawImage(this.toLayer, 0, 0);
+        ctx.restore();
+    }
+
+    /**
+     * Play the morph on a canvas over duration ms (eased in and out)
+     * Rejects with an AbortError at the next frame once the signal is aborted.
+     */
+    play(canvas, duration = 2500, signal = null) {
+        canvas.width = this.size;
+        canvas.height = this.size;
+        const ctx = canvas.getContext('2d');
+
+        return new Promise((resolve, reject) => {
+            const start = performance.now();
+            const frame = (now) => {
+                if (signal && signal.aborted) {
+                    reject(Animation.abortError());
+                    return;
+                }
+
+                const progress = Math.min(1, (now - start) / duration);
+                const eased = progress < 0.5
+                    ? 2 * progress * progress
+                    : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+                this.drawFrame(ctx, eased);
+
+                if (progress < 1) {
+                    requestAnimationFrame(frame);
+                } else {
+                    resolve();
+                }
+            };
+            requestAnimationFrame(frame);
+        });
+    }
+
+    /**
+     * Landmarks for a character image: from the manifest if given, otherwise detected
+     * (inside its faceBox if there is one). Resolves to 68 { x, y } in image pixels, or null.
+     */
+    static async landmarksFor(character, image, faceDetection) {
+        if (character && character.landmarks) {
+            return character.landmarks.map(([x, y]) => ({ x, y }));
+        }
+        if (!image || !faceDetection) return null;
+
+        const width = image.naturalWidth || image.width;
+        const height = image.naturalHeight || image.height;
+        if (!width || !height) return null;
+        let region = { x: 0, y: 0, width, height };
+
+        if (character && character.faceBox) {
+            const box = character.faceBox;
+            const padding = Math.max(box.width, box.height) * 0.25;
+            const x = Math.max(0, box.x - padding);
+            const y = Math.max(0, box.y - padding);
+            region = {
+                x,
+                y,
+                width: Math.min(width - x, box.width + padding * 2),
+                height: Math.min(height - y, box.height + padding * 2)
+            };
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = region.width;
+        canvas.height = region.height;
+        canvas.getContext('2d').drawImage(
+            image,
+            region.x, region.y, region.width, region.height,
+            0, 0, region.width, region.height
+        );
+
+        const detection = await faceDetection.trackFace(canvas);
+        if (!detection) return null;
+
+        return detection.landmarks.positions.map(point => ({ x: region.x + point.x, y: region.y + point.y }));
+    }
+}
@@ -0,0 +1,73 @@
+// Face Picker Module - Lets the operator drop faces from a group photo
+
+export class FacePicker {
+    constructor() {
+        this.container = document.getElementById('face-picker');
+        this.grid = document.getElementById('face-picker-grid');
+        this.continueBtn = document.getElementById('face-picker-continue-btn');
+    }
+
+    /**
+     * Show a tile per face and resolve with the faces still selected
+     * when the operator presses Continue (or with none if signal aborts)
+     */
+    pick(faces, signal = null) {
+        const selected = new Set(faces);
+
+        this.grid.innerHTML = '';
+        faces.forEach((face, index) => {
+            const tile = document.createElement('button');
+            tile.type = 'button';
+            tile.className = 'face-picker-tile selected';
+            tile.setAttribute('aria-pressed', 'true');
+            tile.setAttribute('aria-label', `Face ${index + 1}`);
+
+            const preview = document.createElement('canvas');
+            preview.width = face.canvas.width;
+            preview.height = face.canvas.height;
+            preview.getContext('2d').drawImage(face.canvas, 0, 0);
+            tile.appendChild(preview);
+
+            tile.addEventListener('click', () => {
+                if (selected.has(face)) {
+                    selected.delete(face);
+                } else {
+                    selected.add(face);
+                }
+                const isSelected = selected.has(face);
+                tile.classList.toggle('selected', isSelected);
+                tile.setAttribute('aria-pressed', String(isSelected));
+                this.continueBtn.disabled = selected.size === 0;
+            });
+
+            this.grid.appendChild(tile);
+        });
+
+        this.continueBtn.disabled = false;
+        this.container.classList.remove('hidden');
+        this.grid.firstChild.focus();
+
+        return new Promise((resolve) => {
+            const finish = (picked) => {
+                this.continueBtn.removeEventListener('click', handleContinue);
+                if (signal) signal.removeEventListener('abort', handleAbort);
+                this.hide();
+                resolve(picked);
+            };
+            // Keep the original left-to-right order
+            const handleContinue = () => finish(faces.filter(face => selected.has(face)));
+            const handleAbort = () => finish([]);
+
+            this.continueBtn.addEventListener('click', handleContinue);
+            if (signal) signal.addEventListener('abort', handleAbort);
+        });
+    }
+
+    /**
+     * Hide the picker and clear its tiles
+     */
+    hide() {
+        this.container.classList.add('hidden');
+        this.grid.innerHTML = '';
+    }
+}
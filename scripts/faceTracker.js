@@ -0,0 +1,205 @@
+// Face Tracker Module - Live face detection on the webcam preview, with a framing guide
+
+import { FaceDetection } from './faceDetection.js';
+import { LandmarkRenderers } from './landmarkRenderers.js';
+import { PhotoQuality } from './photoQuality.js';
+
+// What counts as a well-framed face, mostly as fractions of the video frame
+const FRAMING = {
+    // Face width / frame width
+    minFaceRatio: 0.2,
+    maxFaceRatio: 0.65,
+    // Distance of the face centre from the frame centre
+    maxCenterOffset: 0.15,
+    // Movement of the face centre between two detections that still counts as steady
+    maxMovement: 0.02,
+    // Estimated head turn, degrees
+    maxYaw: 25
+};
+
+// Guide text for each framing state
+export const FRAMING_MESSAGES = {
+    searching: 'Looking for your face...',
+    closer: 'Move closer',
+    back: 'Move back a little',
+    center: 'Center your face in the frame',
+    turn: 'Look straight at the camera',
+    still: 'Hold still',
+    ready: 'Perfect - hold it there!'
+};
+
+export class FaceTracker {
+    /**
+     * renderer: landmark style spec for the live overlay (see LandmarkRenderers.create)
+     */
+    constructor(faceDetection, video, renderer = 'dots', { intervalMs = 100, steadyMs = 1000 } = {}) {
+        this.faceDetection = faceDetection;
+        this.video = video;
+        this.overlay = document.getElementById('webcam-overlay');
+        this.guide = document.getElementById('framing-guide');
+        this.oval = document.getElementById('framing-oval');
+        this.renderer = LandmarkRenderers.create(renderer);
+        this.intervalMs = intervalMs;
+        this.steadyMs = steadyMs;
+
+        this.running = false;
+        this.timer = null;
+        this.lastCenter = null;
+        this.steadySince = null;
+        this.steadyReported = false;
+        // Called each time a well-framed face has been steady for steadyMs
+        this.onSteady = null;
+    }
+
+    /**
+     * Start the detection loop
+     */
+    start(onSteady = null) {
+        this.stop();
+        this.onSteady = onSteady;
+        this.running = true;
+        this.showState('searching');
+        this.tick();
+    }
+
+    /**
+     * Stop the loop and clear the overlay
+     */
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.lastCenter = null;
+        this.steadySince = null;
+        this.steadyReported = false;
+
+        const ctx = this.overlay.getContext('2d');
+        ctx.clearRect(0, 0, this.overlay.width, this.overlay.height);
+    }
+
+    /**
+     * Stop detecting for a while (during the countdown, so the burst has the CPU)
+     * without forgetting onSteady
+     */
+    pause() {
+        this.stop();
+    }
+
+    /**
+     * Pick up again after pause(), with the same onSteady
+     */
+    resume() {
+        if (!this.running) {
+            this.start(this.onSteady);
+        }
+    }
+
+    /**
+     * One detection, then schedule the next - never more than one in flight
+     */
+    async tick() {
+        if (!this.running) return;
+
+        if (this.video.readyState >= 2 && this.video.videoWidth > 0) {
+            const detection = await this.faceDetection.trackFace(this.video);
+
+            // Stopped while the detector was busy
+            if (!this.running) return;
+
+            const state = this.evaluate(detection);
+            this.draw(detection, state);
+            this.showState(state);
+            this.checkSteady(state);
+        }
+
+        this.timer = setTimeout(() => this.tick(), this.intervalMs);
+    }
+
+    /**
+     * Decide which framing state a detection is in
+     */
+    evaluate(detection) {
+        if (!detection) {
+            this.lastCenter = null;
+            return 'searching';
+        }
+
+        const frameWidth = this.video.videoWidth;
+        const frameHeight = this.video.videoHeight;
+        const box = detection.detection.box;
+        const center = { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+
+        const movement = this.lastCenter
+            ? Math.hypot(center.x - this.lastCenter.x, center.y - this.lastCenter.y) / frameWidth
+            : Infinity;
+        this.lastCenter = center;
+
+        const faceRatio = box.width / frameWidth;
+        if (faceRatio < FRAMING.minFaceRatio) return 'closer';
+        if (faceRatio > FRAMING.maxFaceRatio) return 'back';
+
+        const offsetX = Math.abs(center.x / frameWidth - 0.5);
+        const offsetY = Math.abs(center.y / frameHeight - 0.5);
+        if (offsetX > FRAMING.maxCenterOffset || offsetY > FRAMING.maxCenterOffset) return 'center';
+
+        if (Math.abs(PhotoQuality.estimatePose(detection.landmarks).yaw) > FRAMING.maxYaw) return 'turn';
+
+        if (movement > FRAMING.maxMovement) return 'still';
+
+        return 'ready';
+    }
+
+    /**
+     * Live box and landmarks over the video
+     */
+    draw(detection, state) {
+        // Same size as the video frame; CSS object-fit keeps it lined up with the preview
+        if (this.overlay.width !== this.video.videoWidth || this.overlay.height !== this.video.videoHeight) {
+            this.overlay.width = this.video.videoWidth;
+            this.overlay.height = this.video.videoHeight;
+        }
+
+        const ctx = this.overlay.getContext('2d');
+        ctx.clearRect(0, 0, this.overlay.width, this.overlay.height);
+        if (!detection) return;
+
+        const box = detection.detection.box;
+        ctx.save();
+        ctx.strokeStyle = state === 'ready' ? '#10b981' : '#f59e0b';
+        ctx.lineWidth = Math.max(2, this.overlay.width / 320);
+        ctx.strokeRect(box.x, box.y, box.width, box.height);
+        ctx.restore();
+
+        this.renderer.draw(ctx, [FaceDetection.mapLandmarks(detection.landmarks)]);
+    }
+
+    /**
+     * Update the guide text and the framing oval
+     */
+    showState(state) {
+        this.guide.textContent = FRAMING_MESSAGES[state];
+        this.guide.dataset.state = state;
+        this.oval.classList.toggle('ready', state === 'ready');
+    }
+
+    /**
+     * Report once per steady streak when a ready face has held still long enough
+     */
+    checkSteady(state) {
+        if (state !== 'ready') {
+            this.steadySince = null;
+            this.steadyReported = false;
+            return;
+        }
+
+        const now = performance.now();
+        if (this.steadySince === null) {
+            this.steadySince = now;
+        }
+
+        if (!this.steadyReported && now - this.steadySince >= this.steadyMs) {
+            this.steadyReported = true;
+            if (this.onSteady) this.onSteady();
+        }
+    }
+}
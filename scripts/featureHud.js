@@ -0,0 +1,162 @@
+// Feature HUD Module - Facial measurements from the 68 landmarks, compared bar by bar
+//
+// Every measurement is a ratio of two distances on the face, so it doesn't
+// depend on image size or how far the face was from the camera.
+
+import { FaceDetection } from './faceDetection.js';
+
+const distance = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+const eyeCenters = (points) => [
+    FaceDetection.centroid(points.slice(36, 42)),
+    FaceDetection.centroid(points.slice(42, 48))
+];
+// Outer jaw points (cheek to cheek) and nose bridge to chin
+const faceWidth = (points) => distance(points[0], points[16]);
+const faceHeight = (points) => distance(points[27], points[8]);
+
+// range: typical spread across faces - scales the bars and how strict the comparison is
+export const FACE_FEATURES = [
+    {
+        id: 'eyeDistance',
+        label: 'Inter-ocular distance',
+        range: [0.36, 0.54],
+        measure: (points) => {
+            const [left, right] = eyeCenters(points);
+            return distance(left, right) / faceWidth(points);
+        }
+    },
+    {
+        id: 'jawWidth',
+        label: 'Jaw width ratio',
+        range: [0.68, 0.92],
+        measure: (points) => distance(points[4], points[12]) / faceWidth(points)
+    },
+    {
+        id: 'noseLength',
+        label: 'Nose length',
+        range: [0.34, 0.54],
+        measure: (points) => distance(points[27], points[33]) / faceHeight(points)
+    },
+    {
+        id: 'mouthWidth',
+        label: 'Mouth width',
+        range: [0.28, 0.5],
+        measure: (points) => distance(points[48], points[54]) / faceWidth(points)
+    },
+    {
+        id: 'browHeight',
+        label: 'Brow height',
+        range: [0.1, 0.28],
+        measure: (points) => {
+            const [left, right] = eyeCenters(points);
+            return (distance(points[19], left) + distance(points[24], right)) / 2 / faceHeight(points);
+        }
+    }
+];
+
+export class FeatureHud {
+    constructor() {
+        this.container = document.getElementById('feature-hud');
+        this.rows = [];
+    }
+
+    /**
+     * Every feature for a face's 68 landmark positions, as { id: value }
+     */
+    static measure(points) {
+        const measurements = {};
+        FACE_FEATURES.forEach(feature => {
+            const value = feature.measure(points);
+            measurements[feature.id] = Number.isFinite(value) ? value : null;
+        });
+        return measurements;
+    }
+
+    /**
+     * How alike two values of a feature are, 0 to 100
+     */
+    static similarity(feature, a, b) {
+        const spread = feature.range[1] - feature.range[0];
+        return Math.round(Math.max(0, 1 - Math.abs(a - b) / spread) * 100);
+    }
+
+    /**
+     * Bar width for a value, as a percentage of the feature's range
+     */
+    static barWidth(feature, value) {
+        const [min, max] = feature.range;
+        return Math.min(100, Math.max(4, (value - min) / (max - min) * 100));
+    }
+
+    /**
+     * Show the HUD with the user's own measurements; character bars start empty
+     */
+    show(userPoints) {
+        const user = FeatureHud.measure(userPoints);
+        this.container.innerHTML = '';
+
+        this.rows = FACE_FEATURES.filter(feature => user[feature.id] !== null).map(feature => {
+            const row = document.createElement('div');
+            row.className = 'feature-row';
+
+            const label = document.createElement('span');
+            label.className = 'feature-label';
+            label.textContent = feature.label;
+
+            const bars = document.createElement('div');
+            bars.className = 'feature-bars';
+            const userBar = FeatureHud.createBar('user');
+            const characterBar = FeatureHud.createBar('character');
+            bars.append(userBar, characterBar);
+
+            const score = document.createElement('span');
+            score.className = 'feature-score';
+            score.textContent = '--';
+
+            row.append(label, bars, score);
+            this.container.appendChild(row);
+
+            userBar.firstChild.style.width = `${FeatureHud.barWidth(feature, user[feature.id])}%`;
+            userBar.title = user[feature.id].toFixed(2);
+
+            return { feature, value: user[feature.id], row, characterBar, score };
+        });
+
+        this.container.classList.toggle('active', this.rows.length > 0);
+    }
+
+    static createBar(side) {
+        const bar = document.createElement('div');
+        bar.className = `feature-bar ${side}`;
+        bar.appendChild(document.createElement('span'));
+        return bar;
+    }
+
+    /**
+     * Compare against a character's measurements (null if unknown - its bars empty out)
+     */
+    compare(measurements) {
+        this.rows.forEach(({ feature, value, row, characterBar, score }) => {
+            const other = measurements ? measurements[feature.id] : null;
+
+            if (other === null || other === undefined) {
+                characterBar.firstChild.style.width = '0%';
+                score.textContent = '--';
+                row.classList.remove('close');
+                return;
+            }
+
+            const similarity = FeatureHud.similarity(feature, value, other);
+            characterBar.firstChild.style.width = `${FeatureHud.barWidth(feature, other)}%`;
+            characterBar.title = other.toFixed(2);
+            score.textContent = `${similarity}%`;
+            row.classList.toggle('close', similarity >= 85);
+        });
+    }
+
+    hide() {
+        this.container.classList.remove('active');
+        this.container.innerHTML = '';
+        this.rows = [];
+    }
+}
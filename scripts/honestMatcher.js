@@ -0,0 +1,162 @@
+// Honest Matcher Module - Real face-descriptor similarity against the character database
+
+import { CharacterManifest } from './characterManifest.js';
+import { DescriptorCache } from './descriptorCache.js';
+import { FACE_API_VERSION } from './vendorLoader.js';
+
+export class HonestMatcher {
+    constructor(faceDetection) {
+        this.faceDetection = faceDetection;
+        this.cache = new DescriptorCache();
+        this.characterDescriptors = [];
+        this.preparePromise = null;
+    }
+
+    /**
+     * Honest mode is on if configured, or with ?mode=honest in the URL
+     * (?mode=prank forces the default prank)
+     */
+    static isEnabled(config) {
+        const mode = new URLSearchParams(window.location.search).get('mode');
+        if (mode === 'honest') return true;
+        if (mode === 'prank') return false;
+        return config.honestMode === true;
+    }
+
+    /**
+     * Similarity from 0 to 100 based on Euclidean distance between descriptors.
+     * face-api considers distances under ~0.6 to be the same person.
+     */
+    static similarity(a, b) {
+        const distance = faceapi.euclideanDistance(a, b);
+        return Math.round(Math.max(0, 1 - distance) * 100);
+    }
+
+    /**
+     * Compute (or load from cache) a descriptor for every character.
+     * Safe to call more than once - the work only happens the first time.
+     */
+    prepare(characters) {
+        if (!this.preparePromise) {
+            this.preparePromise = this.computeCharacterDescriptors(characters);
+        }
+        return this.preparePromise;
+    }
+
+    async computeCharacterDescriptors(characters) {
+        const results = [];
+
+        // One at a time - running several networks at once only makes each slower
+        for (const character of characters) {
+            const key = [
+                FACE_API_VERSION,
+                this.faceDetection.detector.id,
+                character.src,
+                HonestMatcher.fingerprint(character)
+            ].join('|');
+            let descriptor = await this.cache.get(key);
+
+            if (!descriptor) {
+                descriptor = await this.describeCharacter(character);
+                if (descriptor) {
+                    await this.cache.put(key, descriptor);
+                }
+            }
+
+            if (descriptor) {
+                results.push({ character, descriptor });
+            } else {
+                console.warn(`Honest mode: no face found in "${character.label}", leaving it out`);
+            }
+        }
+
+        this.characterDescriptors = results;
+        return results;
+    }
+
+    /**
+     * What the descriptor depends on besides the path: the image's size and a hash of
+     * its pixels shrunk to 16x16, plus the faceBox - so replacing an image at the
+     * same path (or moving its box) computes a fresh descriptor
+     */
+    static fingerprint(character) {
+        const img = character.img;
+        const canvas = document.createElement('canvas');
+        canvas.width = 16;
+        canvas.height = 16;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+        let pixels = 'unreadable';
+        try {
+            pixels = CharacterManifest.hash(String.fromCharCode(...ctx.getImageData(0, 0, 16, 16).data));
+        } catch (error) {
+            // A cross-origin image without CORS can't be read (nor described, so nothing gets cached)
+        }
+
+        const box = character.faceBox;
+        return [
+            `${img.naturalWidth}x${img.naturalHeight}`,
+            pixels,
+            box ? `${box.x},${box.y},${box.width},${box.height}` : 'nobox'
+        ].join('|');
+    }
+
+    /**
+     * Descriptor for one character image, limited to its faceBox if the manifest gives one
+     */
+    async describeCharacter(character) {
+        let input = character.img;
+
+        if (character.faceBox) {
+            const box = character.faceBox;
+            const padding = Math.max(box.width, box.height) * 0.25;
+            const x = Math.max(0, box.x - padding);
+            const y = Math.max(0, box.y - padding);
+
+            input = document.createElement('canvas');
+            input.width = Math.min(character.img.naturalWidth - x, box.width + padding * 2);
+            input.height = Math.min(character.img.naturalHeight - y, box.height + padding * 2);
+            input.getContext('2d').drawImage(
+                character.img,
+                x, y, input.width, input.height,
+                0, 0, input.width, input.height
+            );
+        }
+
+        return this.describe(input);
+    }
+
+    /**
+     * 128-d descriptor for the most prominent face in an image, or null
+     */
+    async describe(input) {
+        try {
+            const result = await faceapi
+                .detectSingleFace(input, this.faceDetection.detectionOptions)
+                .withFaceLandmarks(this.faceDetection.useTinyLandmarks)
+                .withFaceDescriptor();
+
+            return result ? result.descriptor : null;
+        } catch (error) {
+            console.error('Error computing face descriptor:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Rank every character by similarity to a face, best first
+     * Resolves to [{ character, similarity }], or null if the face can't be described
+     */
+    async rank(faceCanvas) {
+        const descriptor = await this.describe(faceCanvas);
+        if (!descriptor) return null;
+
+        return this.characterDescriptors
+            .map(entry => ({
+                character: entry.character,
+                similarity: HonestMatcher.similarity(descriptor, entry.descriptor)
+            }))
+            .sort((a, b) => b.similarity - a.similarity);
+    }
+}
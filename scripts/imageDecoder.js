@@ -0,0 +1,241 @@
+// Image Decoder Module - Decodes photos upright and without metadata, and downscales them cleanly
+//
+// JPEG metadata segments (EXIF, XMP, IPTC, comments) are cut out of the file
+// before it is decoded, so GPS and camera details never reach an <img> or a
+// data URL, and no browser can apply the EXIF orientation a second time.
+// The orientation is read first and applied here instead.
+
+// JPEG segments dropped before decoding: APP1 (EXIF/XMP), APP13 (IPTC) and comments
+const METADATA_MARKERS = [0xFFE1, 0xFFED, 0xFFFE];
+const EXIF_HEADER = 0x45786966; // 'Exif'
+const ORIENTATION_TAG = 0x0112;
+
+export class ImageDecoder {
+    /**
+     * Decode an image file (or blob) into an upright, metadata-free canvas,
+     * no larger than maxSize on its longest side
+     */
+    static async decode(file, maxSize = 1600) {
+        const buffer = await file.arrayBuffer();
+        const view = new DataView(buffer);
+
+        // Other formats rarely carry orientation; the browser applies it if they do
+        let orientation = 1;
+        let blob = file;
+
+        if (ImageDecoder.isJpeg(view)) {
+            const stripped = ImageDecoder.stripMetadata(view);
+            if (stripped) {
+                orientation = ImageDecoder.readOrientation(view);
+                blob = new Blob(stripped, { type: 'image/jpeg' });
+            } else {
+                console.warn('Could not parse JPEG segments - decoding without stripping metadata');
+            }
+        }
+
+        const source = await ImageDecoder.decodeBlob(blob);
+
+        // Shrink before rotating - far less to rotate for big phone photos
+        const swapped = orientation >= 5;
+        const upright = swapped
+            ? { width: source.height, height: source.width }
+            : { width: source.width, height: source.height };
+        const target = ImageDecoder.fitWithin(upright.width, upright.height, maxSize, maxSize);
+        const scaled = ImageDecoder.downscale(
+            source,
+            swapped ? target.height : target.width,
+            swapped ? target.width : target.height
+        );
+
+        if (source.close) source.close();
+
+        return ImageDecoder.orient(scaled, orientation);
+    }
+
+    /**
+     * Decode with createImageBitmap where available, otherwise through an <img>
+     * from an object URL (revoked straight away, so the file isn't kept around)
+     */
+    static async decodeBlob(blob) {
+        if (typeof createImageBitmap !== 'undefined') {
+            try {
+                return await createImageBitmap(blob, { imageOrientation: 'from-image' });
+            } catch (error) {
+                // Older browsers reject option values they don't know
+                try {
+                    return await createImageBitmap(blob);
+                } catch (fallbackError) {
+                    console.warn('createImageBitmap failed, decoding with an <img>:', fallbackError);
+                }
+            }
+        }
+
+        const url = URL.createObjectURL(blob);
+        try {
+            return await new Promise((resolve, reject) => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = () => reject(new Error('Failed to load image'));
+                img.src = url;
+            });
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    static isJpeg(view) {
+        return view.byteLength > 4 && view.getUint16(0) === 0xFFD8;
+    }
+
+    /**
+     * EXIF orientation (1-8) of a JPEG, 1 if it has none
+     */
+    static readOrientation(view) {
+        try {
+            let offset = 2;
+            while (offset + 4 <= view.byteLength) {
+                const marker = view.getUint16(offset);
+                // Start of scan - no more headers
+                if (marker === 0xFFDA) break;
+
+                const length = view.getUint16(offset + 2);
+                if (marker === 0xFFE1 && view.getUint32(offset + 4) === EXIF_HEADER) {
+                    return ImageDecoder.readTiffOrientation(view, offset + 10);
+                }
+                offset += 2 + length;
+            }
+        } catch (error) {
+            // Truncated or malformed EXIF - treat as upright
+            console.warn('Could not read EXIF orientation:', error);
+        }
+        return 1;
+    }
+
+    /**
+     * Orientation tag from the first IFD of the TIFF block inside EXIF
+     */
+    static readTiffOrientation(view, tiffStart) {
+        const littleEndian = view.getUint16(tiffStart) === 0x4949;
+        if (view.getUint16(tiffStart + 2, littleEndian) !== 42) return 1;
+
+        const ifd = tiffStart + view.getUint32(tiffStart + 4, littleEndian);
+        const entries = view.getUint16(ifd, littleEndian);
+
+        for (let i = 0; i < entries; i++) {
+            const entry = ifd + 2 + i * 12;
+            if (view.getUint16(entry, littleEndian) === ORIENTATION_TAG) {
+                const value = view.getUint16(entry + 8, littleEndian);
+                return value >= 1 && value <= 8 ? value : 1;
+            }
+        }
+        return 1;
+    }
+
+    /**
+     * JPEG bytes without metadata segments, as an array of parts for a Blob.
+     * Returns null if the segment structure can't be followed.
+     */
+    static stripMetadata(view) {
+        const parts = [new Uint8Array(view.buffer, 0, 2)];
+        let offset = 2;
+
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            if ((marker & 0xFF00) !== 0xFF00) return null;
+
+            // Fill bytes before a marker
+            if (marker === 0xFFFF) {
+                offset += 1;
+                continue;
+            }
+
+            // Start of scan: keep everything from here to the end
+            if (marker === 0xFFDA) {
+                parts.push(new Uint8Array(view.buffer, offset));
+                return parts;
+            }
+
+            const end = offset + 2 + view.getUint16(offset + 2);
+            if (end > view.byteLength) return null;
+
+            if (!METADATA_MARKERS.includes(marker)) {
+                parts.push(new Uint8Array(view.buffer, offset, end - offset));
+            }
+            offset = end;
+        }
+
+        return null;
+    }
+
+    /**
+     * Draw an image upright according to its EXIF orientation
+     */
+    static orient(source, orientation) {
+        const width = source.width;
+        const height = source.height;
+        const swapped = orientation >= 5;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = swapped ? height : width;
+        canvas.height = swapped ? width : height;
+        const ctx = canvas.getContext('2d');
+
+        const transforms = {
+            2: [-1, 0, 0, 1, width, 0],        // mirrored
+            3: [-1, 0, 0, -1, width, height],  // upside down
+            4: [1, 0, 0, -1, 0, height],       // mirrored upside down
+            5: [0, 1, 1, 0, 0, 0],             // mirrored, rotated 90° anticlockwise
+            6: [0, 1, -1, 0, height, 0],       // rotated 90° clockwise
+            7: [0, -1, -1, 0, height, width],  // mirrored, rotated 90° clockwise
+            8: [0, -1, 1, 0, 0, width]         // rotated 90° anticlockwise
+        };
+        if (transforms[orientation]) {
+            ctx.transform(...transforms[orientation]);
+        }
+
+        ctx.drawImage(source, 0, 0);
+        return canvas;
+    }
+
+    /**
+     * Size that fits inside maxWidth x maxHeight, keeping the aspect ratio (never enlarges)
+     */
+    static fitWithin(width, height, maxWidth, maxHeight) {
+        const scale = Math.min(1, maxWidth / width, maxHeight / height);
+        return {
+            width: Math.max(1, Math.round(width * scale)),
+            height: Math.max(1, Math.round(height * scale))
+        };
+    }
+
+    /**
+     * Resize to exactly width x height. Big reductions are done in halving steps -
+     * a single drawImage from far larger sizes skips pixels and looks jagged.
+     */
+    static downscale(source, width, height) {
+        let current = source;
+        let currentWidth = source.width;
+        let currentHeight = source.height;
+
+        while (currentWidth / 2 >= width && currentHeight / 2 >= height) {
+            currentWidth = Math.round(currentWidth / 2);
+            currentHeight = Math.round(currentHeight / 2);
+            current = ImageDecoder.drawScaled(current, currentWidth, currentHeight);
+        }
+
+        return ImageDecoder.drawScaled(current, width, height);
+    }
+
+    static drawScaled(source, width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(source, 0, 0, width, height);
+
+        return canvas;
+    }
+}
@@ -0,0 +1,614 @@
+// Landmark Renderers Module - Interchangeable styles for drawing the 68 facial landmarks
+//
+// Every renderer takes faces as arrays of 68 points already mapped onto the
+// canvas (see FaceDetection.mapPoint), so several faces animate together.
+
+import { Animation } from './animation.js';
+
+// Runs of landmark indices joined by lines: [start, end (exclusive), closed]
+export const LANDMARK_REGIONS = [
+    [0, 17, false],   // jaw line
+    [17, 22, false],  // left eyebrow
+    [22, 27, false],  // right eyebrow
+    [27, 31, false],  // nose bridge
+    [31, 36, false],  // nose bottom
+    [36, 42, true],   // left eye
+    [42, 48, true],   // right eye
+    [48, 60, true],   // outer lip
+    [60, 68, true]    // inner lip
+];
+
+/**
+ * Shared options, drawing helpers and the default animation (draw, then hold)
+ */
+export class LandmarkRenderer {
+    static get defaults() {
+        return {
+            color: '#00ff00',
+            // shadowBlur in pixels, 0 for none
+            glow: 10,
+            lineWidth: 1,
+            pointRadius: 3,
+            // ms to leave the finished overlay on screen
+            holdTime: 1000
+        };
+    }
+
+    constructor(options = {}) {
+        this.options = { ...this.constructor.defaults, ...options };
+        // Set to an AbortSignal to stop the animation part way (it rejects with an AbortError)
+        this.signal = null;
+    }
+
+    /**
+     * Draw the finished overlay in one go
+     */
+    draw(ctx, faces) {
+        faces.forEach(points => {
+            this.drawPoints(ctx, points);
+            this.drawRegions(ctx, points);
+        });
+    }
+
+    /**
+     * Animate the overlay in - styles override this
+     */
+    async animate(ctx, faces) {
+        this.draw(ctx, faces);
+        await this.wait(this.options.holdTime);
+    }
+
+    drawPoint(ctx, point, radius = this.options.pointRadius, color = this.options.color) {
+        ctx.save();
+        ctx.shadowBlur = this.options.glow;
+        ctx.shadowColor = color;
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, radius, 0, 2 * Math.PI);
+        ctx.fillStyle = color;
+        ctx.fill();
+        ctx.restore();
+    }
+
+    drawPoints(ctx, points) {
+        points.forEach(point => this.drawPoint(ctx, point));
+    }
+
+    /**
+     * Join the landmarks into jaw, brows, nose, eyes and lips
+     */
+    drawRegions(ctx, points, color = this.options.color) {
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = this.options.lineWidth;
+
+        LANDMARK_REGIONS.forEach(([start, end, closed]) => {
+            const region = points.slice(start, end);
+            if (region.length < 2) return;
+
+            ctx.beginPath();
+            ctx.moveTo(region[0].x, region[0].y);
+            for (let i = 1; i < region.length; i++) {
+                ctx.lineTo(region[i].x, region[i].y);
+            }
+            if (closed) ctx.closePath();
+            ctx.stroke();
+        });
+
+        ctx.restore();
+    }
+
+    /**
+     * Copy of the canvas as it is now, for styles that redraw every frame
+     */
+    static snapshot(ctx) {
+        const copy = document.createElement('canvas');
+        copy.width = ctx.canvas.width;
+        copy.height = ctx.canvas.height;
+        copy.getContext('2d').drawImage(ctx.canvas, 0, 0);
+        return copy;
+    }
+
+    static restore(ctx, snapshot) {
+        ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        ctx.drawImage(snapshot, 0, 0);
+    }
+
+    /**
+     * Call onFrame(progress 0-1) every animation frame for `duration` ms
+     */
+    static frames(duration, onFrame, signal = null) {
+        return new Promise((resolve, reject) => {
+            const startTime = performance.now();
+
+            const step = (now) => {
+                if (signal && signal.aborted) {
+                    reject(Animation.abortError());
+                    return;
+                }
+
+                const progress = Math.min((now - startTime) / duration, 1);
+                onFrame(progress);
+
+                if (progress < 1) {
+                    requestAnimationFrame(step);
+                } else {
+                    resolve();
+                }
+            };
+
+            requestAnimationFrame(step);
+        });
+    }
+
+    static wait(ms, signal = null) {
+        return Animation.wait(ms, signal);
+    }
+
+    frames(duration, onFrame) {
+        return LandmarkRenderer.frames(duration, onFrame, this.signal);
+    }
+
+    wait(ms) {
+        return LandmarkRenderer.wait(ms, this.signal);
+    }
+
+    /**
+     * Bounding box of a face's points, grown by `padding` (a fraction of its size)
+     */
+    static bounds(points, padding = 0) {
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        const width = Math.max(...xs) - minX;
+        const height = Math.max(...ys) - minY;
+        const pad = Math.max(width, height) * padding;
+
+        return {
+            x: minX - pad,
+            y: minY - pad,
+            width: width + pad * 2,
+            height: height + pad * 2
+        };
+    }
+}
+
+/**
+ * The classic look: glowing dots appear one by one, then the outline
+ */
+export class DotsRenderer extends LandmarkRenderer {
+    static get defaults() {
+        return { ...super.defaults, delayBetweenPoints: 30 };
+    }
+
+    async animate(ctx, faces) {
+        const pointCount = Math.max(0, ...faces.map(points => points.length));
+
+        for (let i = 0; i < pointCount; i++) {
+            faces.forEach(points => {
+                if (points[i]) this.drawPoint(ctx, points[i]);
+            });
+            await this.wait(this.options.delayBetweenPoints);
+        }
+
+        faces.forEach(points => this.drawRegions(ctx, points));
+        await this.wait(this.options.holdTime);
+    }
+}
+
+/**
+ * Dots and outline fade in together
+ */
+export class FadeRenderer extends LandmarkRenderer {
+    static get defaults() {
+        return { ...super.defaults, pointRadius: 2, glow: 0, duration: 2000 };
+    }
+
+    async animate(ctx, faces) {
+        const base = LandmarkRenderer.snapshot(ctx);
+
+        await this.frames(this.options.duration, (progress) => {
+            LandmarkRenderer.restore(ctx, base);
+            ctx.save();
+            ctx.globalAlpha = progress;
+            this.draw(ctx, faces);
+            ctx.restore();
+        });
+
+        await this.wait(this.options.holdTime);
+    }
+}
+
+/**
+ * Triangulated wireframe mesh over the 68 points, built top to bottom
+ */
+export class DelaunayRenderer extends LandmarkRenderer {
+    static get defaults() {
+        return {
+            ...super.defaults,
+            pointRadius: 1.5,
+            glow: 6,
+            fillOpacity: 0.08,
+            delayBetweenTriangles: 12
+        };
+    }
+
+    draw(ctx, faces) {
+        faces.forEach(points => {
+            DelaunayRenderer.triangulate(points).forEach(triangle => this.drawTriangle(ctx, points, triangle));
+            this.drawPoints(ctx, points);
+        });
+    }
+
+    async animate(ctx, faces) {
+        // Triangles sorted by height so the mesh sweeps down the face
+        const meshes = faces.map(points => DelaunayRenderer.triangulate(points)
+            .map(triangle => ({ triangle, y: (points[triangle[0]].y + points[triangle[1]].y + points[triangle[2]].y) / 3 }))
+            .sort((a, b) => a.y - b.y));
+        const steps = Math.max(0, ...meshes.map(mesh => mesh.length));
+
+        for (let i = 0; i < steps; i++) {
+            meshes.forEach((mesh, index) => {
+                if (mesh[i]) this.drawTriangle(ctx, faces[index], mesh[i].triangle);
+            });
+            await this.wait(this.options.delayBetweenTriangles);
+        }
+
+        faces.forEach(points => this.drawPoints(ctx, points));
+        await this.wait(this.options.holdTime);
+    }
+
+    drawTriangle(ctx, points, [a, b, c]) {
+        ctx.save();
+        ctx.shadowBlur = this.options.glow;
+        ctx.shadowColor = this.options.color;
+        ctx.strokeStyle = this.options.color;
+        ctx.lineWidth = this.options.lineWidth;
+
+        ctx.beginPath();
+        ctx.moveTo(points[a].x, points[a].y);
+        ctx.lineTo(points[b].x, points[b].y);
+        ctx.lineTo(points[c].x, points[c].y);
+        ctx.closePath();
+        ctx.stroke();
+
+        ctx.globalAlpha = this.options.fillOpacity;
+        ctx.fillStyle = this.options.color;
+        ctx.fill();
+        ctx.restore();
+    }
+
+    /**
+     * Bowyer-Watson Delaunay triangulation - returns [[i, j, k]] index triples
+     */
+    static triangulate(points) {
+        const box = LandmarkRenderer.bounds(points);
+        const size = Math.max(box.width, box.height, 1) * 20;
+        const midX = box.x + box.width / 2;
+        const midY = box.y + box.height / 2;
+
+        // A super-triangle containing every point, removed again at the end
+        const vertices = [
+            ...points,
+            { x: midX - size, y: midY - size },
+            { x: midX + size, y: midY - size },
+            { x: midX, y: midY + size }
+        ];
+        const superIndex = points.length;
+        let triangles = [DelaunayRenderer.circumscribe(vertices, [superIndex, superIndex + 1, superIndex + 2])];
+
+        const seen = new Set();
+        points.forEach((point, index) => {
+            // Coincident landmarks would make degenerate triangles
+            const key = `${point.x.toFixed(2)},${point.y.toFixed(2)}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+
+            const bad = triangles.filter(t => (point.x - t.cx) ** 2 + (point.y - t.cy) ** 2 < t.r2);
+
+            // Edges of the hole left by the bad triangles (those not shared between two of them)
+            const edges = new Map();
+            bad.forEach(t => {
+                [[t.i[0], t.i[1]], [t.i[1], t.i[2]], [t.i[2], t.i[0]]].forEach(([p, q]) => {
+                    const edgeKey = p < q ? `${p}-${q}` : `${q}-${p}`;
+                    edges.set(edgeKey, edges.has(edgeKey) ? null : [p, q]);
+                });
+            });
+
+            triangles = triangles.filter(t => !bad.includes(t));
+            edges.forEach(edge => {
+                if (edge) {
+                    triangles.push(DelaunayRenderer.circumscribe(vertices, [edge[0], edge[1], index]));
+                }
+            });
+        });
+
+        return triangles
+            .filter(t => t.i.every(i => i < superIndex))
+            .map(t => t.i);
+    }
+
+    /**
+     * Triangle with its circumcircle centre and squared radius
+     */
+    static circumscribe(vertices, indices) {
+        const [a, b, c] = indices.map(i => vertices[i]);
+        const d = 2 * (a.x * (b.y - c.y) + b.x * (c.y - a.y) + c.x * (a.y - b.y));
+
+        if (Math.abs(d) < 1e-9) {
+            // Collinear - a circle nothing falls inside
+            return { i: indices, cx: a.x, cy: a.y, r2: 0 };
+        }
+
+        const a2 = a.x * a.x + a.y * a.y;
+        const b2 = b.x * b.x + b.y * b.y;
+        const c2 = c.x * c.x + c.y * c.y;
+        const cx = (a2 * (b.y - c.y) + b2 * (c.y - a.y) + c2 * (a.y - b.y)) / d;
+        const cy = (a2 * (c.x - b.x) + b2 * (a.x - c.x) + c2 * (b.x - a.x)) / d;
+
+        return { i: indices, cx, cy, r2: (a.x - cx) ** 2 + (a.y - cy) ** 2 };
+    }
+}
+
+/**
+ * Targeting HUD: corner brackets, a scan line that reveals the points as it passes, and a readout label
+ */
+export class HudRenderer extends LandmarkRenderer {
+    static get defaults() {
+        return {
+            ...super.defaults,
+            color: '#22d3ee',
+            pointRadius: 2,
+            scanDuration: 1800,
+            // Bracket arm length as a fraction of the box size
+            bracketSize: 0.2
+        };
+    }
+
+    draw(ctx, faces) {
+        faces.forEach((points, index) => {
+            this.drawBrackets(ctx, points);
+            this.drawPoints(ctx, points);
+            this.drawRegions(ctx, points);
+            this.drawLabel(ctx, points, index, faces.length);
+        });
+    }
+
+    async animate(ctx, faces) {
+        const base = LandmarkRenderer.snapshot(ctx);
+        const boxes = faces.map(points => LandmarkRenderer.bounds(points, 0.15));
+
+        await this.frames(this.options.scanDuration, (progress) => {
+            LandmarkRenderer.restore(ctx, base);
+
+            faces.forEach((points, index) => {
+                const box = boxes[index];
+                const scanY = box.y + box.height * progress;
+
+                this.drawBrackets(ctx, points);
+                points.filter(point => point.y <= scanY).forEach(point => this.drawPoint(ctx, point));
+
+                if (progress < 1) {
+                    this.drawScanLine(ctx, box, scanY);
+                }
+            });
+        });
+
+        faces.forEach((points, index) => {
+            this.drawRegions(ctx, points);
+            this.drawLabel(ctx, points, index, faces.length);
+        });
+        await this.wait(this.options.holdTime);
+    }
+
+    drawBrackets(ctx, points) {
+        const box = LandmarkRenderer.bounds(points, 0.15);
+        const arm = Math.max(box.width, box.height) * this.options.bracketSize;
+        const right = box.x + box.width;
+        const bottom = box.y + box.height;
+
+        ctx.save();
+        ctx.shadowBlur = this.options.glow;
+        ctx.shadowColor = this.options.color;
+        ctx.strokeStyle = this.options.color;
+        ctx.lineWidth = this.options.lineWidth * 2;
+        ctx.beginPath();
+        [
+            [box.x, box.y, 1, 1],
+            [right, box.y, -1, 1],
+            [box.x, bottom, 1, -1],
+            [right, bottom, -1, -1]
+        ].forEach(([x, y, dx, dy]) => {
+            ctx.moveTo(x + arm * dx, y);
+            ctx.lineTo(x, y);
+            ctx.lineTo(x, y + arm * dy);
+        });
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    drawScanLine(ctx, box, y) {
+        ctx.save();
+        const gradient = ctx.createLinearGradient(0, y - 20, 0, y);
+        gradient.addColorStop(0, 'transparent');
+        gradient.addColorStop(1, this.options.color);
+        ctx.globalAlpha = 0.25;
+        ctx.fillStyle = gradient;
+        ctx.fillRect(box.x, y - 20, box.width, 20);
+
+        ctx.globalAlpha = 1;
+        ctx.shadowBlur = this.options.glow;
+        ctx.shadowColor = this.options.color;
+        ctx.strokeStyle = this.options.color;
+        ctx.lineWidth = this.options.lineWidth;
+        ctx.beginPath();
+        ctx.moveTo(box.x, y);
+        ctx.lineTo(box.x + box.width, y);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    drawLabel(ctx, points, index, count) {
+        const box = LandmarkRenderer.bounds(points, 0.15);
+        const label = count > 1
+            ? `TARGET ${index + 1} · ${points.length} PTS`
+            : `TARGET LOCKED · ${points.length} PTS`;
+
+        ctx.save();
+        ctx.font = `${Math.max(10, Math.round(box.width / 18))}px 'Courier New', monospace`;
+        ctx.fillStyle = this.options.color;
+        ctx.shadowBlur = this.options.glow;
+        ctx.shadowColor = this.options.color;
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(label, box.x, box.y - 4);
+        ctx.restore();
+    }
+}
+
+/**
+ * Thermal camera look: a heat map around the landmarks that warms up, with a hot outline
+ */
+export class ThermalRenderer extends LandmarkRenderer {
+    static get defaults() {
+        return {
+            ...super.defaults,
+            color: '#facc15',
+            glow: 8,
+            duration: 1500,
+            opacity: 0.75,
+            // Cold to hot
+            palette: ['#1e1b4b', '#7c3aed', '#ef4444', '#f97316', '#facc15', '#ffffff']
+        };
+    }
+
+    draw(ctx, faces) {
+        ctx.save();
+        ctx.globalAlpha = this.options.opacity;
+        ctx.drawImage(this.heatLayer(ctx, faces), 0, 0);
+        ctx.restore();
+        faces.forEach(points => this.drawRegions(ctx, points));
+    }
+
+    async animate(ctx, faces) {
+        const base = LandmarkRenderer.snapshot(ctx);
+        const heat = this.heatLayer(ctx, faces);
+
+        await this.frames(this.options.duration, (progress) => {
+            LandmarkRenderer.restore(ctx, base);
+            ctx.save();
+            ctx.globalAlpha = this.options.opacity * progress;
+            ctx.drawImage(heat, 0, 0);
+            ctx.restore();
+        });
+
+        faces.forEach(points => this.drawRegions(ctx, points));
+        await this.wait(this.options.holdTime);
+    }
+
+    /**
+     * Blur a blob of heat around every point, then colour it with the palette
+     */
+    heatLayer(ctx, faces) {
+        const { width, height } = ctx.canvas;
+        const layer = document.createElement('canvas');
+        layer.width = width;
+        layer.height = height;
+        const layerCtx = layer.getContext('2d');
+
+        layerCtx.globalCompositeOperation = 'lighter';
+        faces.forEach(points => {
+            const box = LandmarkRenderer.bounds(points);
+            const radius = Math.max(box.width, box.height) / 6;
+
+            points.forEach(point => {
+                const gradient = layerCtx.createRadialGradient(point.x, point.y, 0, point.x, point.y, radius);
+                gradient.addColorStop(0, 'rgba(255, 255, 255, 0.35)');
+                gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+                layerCtx.fillStyle = gradient;
+                layerCtx.fillRect(point.x - radius, point.y - radius, radius * 2, radius * 2);
+            });
+        });
+
+        const image = layerCtx.getImageData(0, 0, width, height);
+        const lookup = ThermalRenderer.paletteLookup(this.options.palette);
+        for (let i = 0; i < image.data.length; i += 4) {
+            // The blobs are white, so the heat that built up is in the alpha channel
+            const intensity = image.data[i + 3];
+            const [r, g, b] = lookup[intensity];
+            image.data[i] = r;
+            image.data[i + 1] = g;
+            image.data[i + 2] = b;
+            // Fade the cold edges out so the photo shows through
+            image.data[i + 3] = Math.min(255, intensity * 2);
+        }
+        layerCtx.putImageData(image, 0, 0);
+
+        return layer;
+    }
+
+    /**
+     * 256 [r, g, b] colours interpolated along the palette
+     */
+    static paletteLookup(palette) {
+        const stops = palette.map(hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)));
+
+        return Array.from({ length: 256 }, (_, value) => {
+            const position = value / 255 * (stops.length - 1);
+            const index = Math.min(Math.floor(position), stops.length - 2);
+            const t = position - index;
+            return stops[index].map((channel, c) => Math.round(channel + (stops[index + 1][c] - channel) * t));
+        });
+    }
+}
+
+const RENDERERS = {
+    dots: DotsRenderer,
+    fade: FadeRenderer,
+    delaunay: DelaunayRenderer,
+    hud: HudRenderer,
+    thermal: ThermalRenderer
+};
+
+export class LandmarkRenderers {
+    /**
+     * Add a style (a LandmarkRenderer subclass) under a name
+     */
+    static register(name, RendererClass) {
+        RENDERERS[name] = RendererClass;
+    }
+
+    static names() {
+        return Object.keys(RENDERERS);
+    }
+
+    /**
+     * Build a renderer from a style name, { style, ...options }, or an existing renderer
+     */
+    static create(spec = 'dots') {
+        if (spec instanceof LandmarkRenderer) {
+            return spec;
+        }
+
+        const { style = 'dots', ...options } = typeof spec === 'string' ? { style: spec } : spec;
+        const RendererClass = RENDERERS[style];
+        if (!RendererClass) {
+            console.warn(`Unknown landmark style "${style}", using dots`);
+            return new DotsRenderer(options);
+        }
+        return new RendererClass(options);
+    }
+
+    /**
+     * Renderer for an event ('analysis', 'group', ...) from config.landmarkStyles.
+     * ?landmarks=<style> in the URL overrides every event.
+     */
+    static forEvent(event, config) {
+        const override = new URLSearchParams(window.location.search).get('landmarks');
+        if (override && RENDERERS[override]) {
+            return LandmarkRenderers.create(override);
+        }
+
+        const styles = config.landmarkStyles || {};
+        return LandmarkRenderers.create(styles[event] || 'dots');
+    }
+}
@@ -0,0 +1,235 @@
+// Match Narrative Module - Scripts the matching sequence as a tension curve
+//
+// Instead of a random score every tick, the scan starts with low scores,
+// throws in a few near misses that climb into the 70s and 80s, slows down
+// towards the end and finally locks on to the result. With a seed the whole
+// script (characters, scores and timing) is the same every run.
+
+export class MatchNarrative {
+    static get defaults() {
+        return {
+            // Number (or string) for a reproducible script, null for a new one each run
+            seed: null,
+            // Scores before anything interesting happens, rising slightly over the scan
+            baseline: [18, 45],
+            // Near misses, spread out and getting closer each time
+            nearMisses: 3,
+            nearMissRange: [70, 88],
+            // ms between characters at full speed, and at the very end
+            tickMs: 150,
+            slowestTickMs: 650,
+            // Fraction of the duration spent slowing down
+            slowdown: 0.35,
+            // Ticks spent locking on to the result at the end
+            lockOnTicks: 5
+        };
+    }
+
+    constructor(options = {}) {
+        this.options = { ...MatchNarrative.defaults, ...options };
+        this.random = MatchNarrative.seededRandom(this.options.seed);
+    }
+
+    /**
+     * Deterministic random numbers in [0, 1) for a seed (mulberry32), Math.random without one
+     */
+    static seededRandom(seed) {
+        if (seed === null || seed === undefined) {
+            return Math.random;
+        }
+
+        // Strings are hashed so "demo" works as a seed too
+        let state = typeof seed === 'number'
+            ? seed >>> 0
+            : Array.from(String(seed)).reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 0x01000193), 0x811c9dc5) >>> 0;
+
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    between(min, max) {
+        return min + this.random() * (max - min);
+    }
+
+    /**
+     * Delay before each tick: steady, then easing out over the slowdown.
+     * Always at least one tick, however short the duration, for the lock-on.
+     */
+    timeline(duration) {
+        const { tickMs, slowestTickMs, slowdown } = this.options;
+        const delays = [];
+        let elapsed = 0;
+
+        while (elapsed < duration || delays.length === 0) {
+            const progress = duration > 0 ? Math.min(1, elapsed / duration) : 1;
+            const slowing = Math.max(0, (progress - (1 - slowdown)) / slowdown);
+            const delay = tickMs + (slowestTickMs - tickMs) * slowing * slowing;
+            delays.push(delay);
+            elapsed += delay;
+        }
+
+        return delays;
+    }
+
+    /**
+     * Ticks where a near miss happens: spread over the middle of the scan, never adjacent
+     */
+    nearMissTicks(scanTicks) {
+        const count = Math.min(this.options.nearMisses, Math.floor(scanTicks / 4));
+        const first = Math.floor(scanTicks * 0.3);
+        const span = scanTicks - 2 - first;
+        const ticks = [];
+
+        for (let i = 0; i < count; i++) {
+            const slot = span / count;
+            ticks.push(first + Math.floor(slot * i + this.between(0, slot * 0.6)));
+        }
+        return ticks;
+    }
+
+    /**
+     * Script the scan. characters: [{ src, name, similarity? }]; finale: { character, score }
+     * is where it locks on. With a similarity on every character (honest mode) the real
+     * scores are shown, worst to best, and only the pacing is scripted.
+     * Returns [{ character, score, delay, kind }] with kind 'scan', 'nearMiss' or 'lockOn'.
+     */
+    script(characters, duration, finale) {
+        const delays = this.timeline(duration);
+        const lockOnTicks = Math.min(this.options.lockOnTicks, Math.max(1, Math.floor(delays.length / 4)));
+        const scanTicks = Math.max(0, delays.length - lockOnTicks);
+
+        const ranked = characters.length > 0 &&
+            characters.every(character => typeof character.similarity === 'number');
+
+        const scan = ranked
+            ? this.rankedScan(characters, scanTicks)
+            : this.staged(characters, scanTicks);
+
+        // Lock on: the result stays put while its score climbs to the final figure
+        // (honest scores are real, so they don't climb)
+        const from = Math.max(this.options.nearMissRange[1] - 10, finale.score - 25);
+        const lockOn = [];
+        for (let i = 1; i <= lockOnTicks; i++) {
+            const score = i === lockOnTicks || ranked
+                ? finale.score
+                : Math.round(from + (finale.score - from) * Math.sqrt(i / lockOnTicks) - this.between(0, 3));
+            lockOn.push({ character: finale.character, score: Math.min(score, finale.score), kind: 'lockOn' });
+        }
+
+        return [...scan, ...lockOn].map((step, i) => ({ ...step, delay: delays[i] }));
+    }
+
+    /**
+     * Prank scan: low scores with scripted near misses
+     */
+    staged(characters, ticks) {
+        const { baseline, nearMissRange } = this.options;
+        const misses = this.nearMissTicks(ticks);
+        const order = this.shuffled(characters);
+        const steps = [];
+
+        for (let i = 0; i < ticks; i++) {
+            const character = order.length > 0 ? order[i % order.length] : null;
+            const missIndex = misses.indexOf(i);
+
+            if (missIndex !== -1) {
+                // Each near miss gets a little closer than the last
+                const step = (nearMissRange[1] - nearMissRange[0]) / misses.length;
+                const score = nearMissRange[0] + step * missIndex + this.between(0, step);
+                steps.push({ character, score: Math.round(score), kind: 'nearMiss' });
+            } else {
+                const rise = (baseline[1] - baseline[0]) * 0.4 * (i / ticks);
+                const score = this.between(baseline[0], baseline[1] - (baseline[1] - baseline[0]) * 0.4) + rise;
+                steps.push({ character, score: Math.round(score), kind: 'scan' });
+            }
+        }
+        return steps;
+    }
+
+    /**
+     * Honest scan: real scores, worst to best, so it still rises towards the match
+     */
+    rankedScan(characters, ticks) {
+        const ascending = [...characters].sort((a, b) => a.similarity - b.similarity);
+        const sequence = [];
+        while (sequence.length < ticks) {
+            sequence.push(...ascending);
+        }
+        return sequence.slice(-ticks).map(character => ({
+            character,
+            score: character.similarity,
+            kind: 'scan'
+        }));
+    }
+
+    /**
+     * Fisher-Yates with this narrative's random numbers
+     */
+    shuffled(array) {
+        const shuffled = [...array];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+}
+
+/**
+ * Terminal-style log that keeps the last few lines
+ */
+export class ScanLog {
+    constructor(element, maxLines = 4) {
+        this.element = element;
+        this.maxLines = maxLines;
+        this.lines = [];
+        this.status = '';
+    }
+
+    /**
+     * Start logging, keeping whatever status the element showed as the first line
+     */
+    start() {
+        this.status = this.element.textContent;
+        this.lines = this.status ? [`> ${this.status}`] : [];
+        this.element.classList.add('scan-log');
+        this.render();
+    }
+
+    push(line) {
+        this.lines.push(line);
+        this.lines = this.lines.slice(-this.maxLines);
+        this.render();
+    }
+
+    render() {
+        this.element.textContent = this.lines.join('\n');
+    }
+
+    /**
+     * Back to the plain one-line status it started with
+     */
+    stop() {
+        this.element.classList.remove('scan-log');
+        this.element.textContent = this.status;
+    }
+
+    /**
+     * One log line for a scripted step
+     */
+    static describe(step, index) {
+        const counter = String(index + 1).padStart(4, '0');
+        const name = step.character ? step.character.name : 'UNKNOWN';
+        const label = name.length > 26 ? `${name.slice(0, 25)}…` : name.padEnd(26, '.');
+        const line = `> ${counter} ${label} ${String(step.score).padStart(3)}%`;
+
+        if (step.kind === 'nearMiss') return `${line}  PARTIAL MATCH - REJECTED`;
+        if (step.kind === 'lockOn') return `${line}  LOCKING ON`;
+        return line;
+    }
+}
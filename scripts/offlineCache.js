@@ -0,0 +1,40 @@
+// Offline Cache Module - Registers the service worker
+
+import { Config } from './config.js';
+import { FACE_API_VERSION } from './vendorLoader.js';
+
+export class OfflineCache {
+    /**
+     * Whether service workers can be used on this page
+     */
+    static isSupported() {
+        return 'serviceWorker' in navigator && window.isSecureContext;
+    }
+
+    /**
+     * Cache key - changes when the character manifest or model version changes
+     */
+    static getCacheKey(manifestHash) {
+        return `${FACE_API_VERSION}-${manifestHash}`;
+    }
+
+    /**
+     * Register (or update) the service worker for the given cache key
+     */
+    static async register(cacheKey) {
+        if (!OfflineCache.isSupported()) return null;
+
+        const params = new URLSearchParams({
+            v: cacheKey,
+            manifest: Config.manifestUrl,
+            base: Config.assetBaseUrl
+        });
+
+        try {
+            return await navigator.serviceWorker.register(`sw.js?${params}`);
+        } catch (error) {
+            console.warn('Service worker registration failed:', error);
+            return null;
+        }
+    }
+}
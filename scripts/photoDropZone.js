@@ -0,0 +1,121 @@
+// Photo Drop Zone Module - Photos dropped onto the upload screen or pasted from the clipboard
+
+import { Camera } from './camera.js';
+
+export class PhotoDropZone {
+    /**
+     * onPhoto(file) gets a validated image file; onReject(message) explains anything else
+     */
+    constructor(screen, onPhoto, onReject) {
+        this.screen = screen;
+        this.overlay = document.getElementById('drop-zone');
+        this.onPhoto = onPhoto;
+        this.onReject = onReject;
+        // dragenter/dragleave fire for every child element, so count them
+        this.dragDepth = 0;
+
+        this.setupListeners();
+    }
+
+    setupListeners() {
+        // Never let a drop anywhere navigate away to the file
+        window.addEventListener('dragover', (e) => e.preventDefault());
+        window.addEventListener('drop', (e) => e.preventDefault());
+
+        this.screen.addEventListener('dragenter', (e) => {
+            if (!PhotoDropZone.hasDraggedItems(e)) return;
+            this.dragDepth++;
+            this.overlay.classList.add('active');
+        });
+
+        this.screen.addEventListener('dragover', (e) => {
+            if (!PhotoDropZone.hasDraggedItems(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        });
+
+        this.screen.addEventListener('dragleave', () => {
+            this.dragDepth = Math.max(0, this.dragDepth - 1);
+            if (this.dragDepth === 0) {
+                this.overlay.classList.remove('active');
+            }
+        });
+
+        this.screen.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.dragDepth = 0;
+            this.overlay.classList.remove('active');
+            this.handleDrop(e.dataTransfer);
+        });
+
+        document.addEventListener('paste', (e) => {
+            if (!this.isActive()) return;
+            this.handlePaste(e);
+        });
+    }
+
+    /**
+     * Only take photos while the upload screen is showing
+     */
+    isActive() {
+        return this.screen.classList.contains('active');
+    }
+
+    /**
+     * Files or links being dragged (not text selections)
+     */
+    static hasDraggedItems(e) {
+        const types = Array.from(e.dataTransfer ? e.dataTransfer.types : []);
+        return types.includes('Files') || types.includes('text/uri-list');
+    }
+
+    handleDrop(dataTransfer) {
+        if (!this.isActive()) return;
+
+        const files = Array.from(dataTransfer.files);
+        if (files.length > 1) {
+            this.onReject(`You dropped ${files.length} files - please drop just one photo.`);
+            return;
+        }
+        if (files.length === 1) {
+            this.accept(files[0]);
+            return;
+        }
+
+        // An image dragged out of a web page or chat arrives as a link - the app
+        // doesn't fetch photos from other sites, so it has to be saved first
+        if (Array.from(dataTransfer.types).includes('text/uri-list')) {
+            this.onReject('Images can\'t be dropped straight from a website. Save it to your device first, then drop or choose the file.');
+            return;
+        }
+
+        this.onReject('Nothing to use there - drop a photo file.');
+    }
+
+    handlePaste(e) {
+        const files = Array.from(e.clipboardData ? e.clipboardData.files : []);
+        if (files.length === 0) {
+            // Plain text on the clipboard isn't meant for us
+            return;
+        }
+
+        e.preventDefault();
+        if (files.length > 1) {
+            this.onReject(`You pasted ${files.length} files - please paste just one photo.`);
+            return;
+        }
+        this.accept(files[0]);
+    }
+
+    /**
+     * Same check as Camera.loadImageFromFile, before handing the file over
+     */
+    accept(file) {
+        const problem = Camera.validateImageFile(file);
+        if (problem) {
+            this.onReject(problem);
+            return;
+        }
+        this.onPhoto(file);
+    }
+}
@@ -0,0 +1,278 @@
+// Photo Quality Module - Checks a photo is good enough to match, and says why when it isn't
+
+import { FaceDetection } from './faceDetection.js';
+
+// Faces are downscaled to this width before measuring, so blur and
+// exposure scores don't depend on the photo's resolution
+const SAMPLE_SIZE = 128;
+
+const THRESHOLDS = {
+    // Mean luminance, 0-255
+    minBrightness: 50,
+    maxBrightness: 215,
+    // Standard deviation of luminance
+    minContrast: 20,
+    // Variance of the Laplacian - low means few sharp edges
+    minSharpness: 40,
+    // Face width as a fraction of the photo's shorter side, and in pixels
+    minFaceRatio: 0.12,
+    minFacePixels: 60,
+    minScore: 0.6,
+    // Estimated head pose, degrees
+    maxYaw: 35,
+    maxPitch: 30
+};
+
+// Every reason a photo can be turned away, in the order they're checked
+export const QUALITY_ISSUES = {
+    noFace: {
+        title: '⚠️ No Face Detected',
+        message: 'We couldn\'t detect a face in your photo.',
+        suggestion: 'Try a clear, front-facing photo with your whole face in frame.'
+    },
+    noFaces: {
+        title: '⚠️ No Faces Detected',
+        message: 'We couldn\'t detect any faces in your photo.',
+        suggestion: 'Try a clear photo where everyone is facing the camera.'
+    },
+    tooDark: {
+        title: '🌑 Too Dark',
+        message: 'The photo is too dark to make out facial features.',
+        suggestion: 'Turn toward a window or a light and try again.'
+    },
+    tooBright: {
+        title: '☀️ Overexposed',
+        message: 'The photo is so bright that facial features are washed out.',
+        suggestion: 'Step out of direct sunlight or away from the bright light.'
+    },
+    lowContrast: {
+        title: '🌫️ Low Contrast',
+        message: 'The photo is too flat and hazy to make out facial features.',
+        suggestion: 'Avoid a bright light behind you and wipe the camera lens.'
+    },
+    blurry: {
+        title: '📷 Too Blurry',
+        message: 'The photo is too blurry to map facial landmarks accurately.',
+        suggestion: 'Hold the camera steady and keep still while the photo is taken.'
+    },
+    tooSmall: {
+        title: '🔍 Face Too Small',
+        message: 'Your face takes up too little of the photo.',
+        suggestion: 'Move closer to the camera, or crop the photo around your face.'
+    },
+    lowScore: {
+        title: '❓ Face Unclear',
+        message: 'Something that might be a face was found, but we\'re not confident.',
+        suggestion: 'Remove sunglasses, hats or hands covering your face, and face the camera.'
+    },
+    turned: {
+        title: '↔️ Head Turned',
+        message: 'Your head is turned too far to the side.',
+        suggestion: 'Look straight at the camera.'
+    },
+    tilted: {
+        title: '↕️ Head Tilted',
+        message: 'Your head is tilted too far up or down.',
+        suggestion: 'Keep your chin level and look straight at the camera.'
+    }
+};
+
+export class PhotoQuality {
+    /**
+     * Check a detected face against every quality threshold
+     * Returns { passed, issues, metrics } - issues are QUALITY_ISSUES entries, most important first
+     */
+    static assess(canvas, detection) {
+        const box = detection.detection.box;
+        const exposure = PhotoQuality.measure(canvas, box);
+        const pose = PhotoQuality.estimatePose(detection.landmarks);
+
+        const metrics = {
+            ...exposure,
+            faceRatio: box.width / Math.min(canvas.width, canvas.height),
+            faceWidth: box.width,
+            score: detection.detection.score,
+            ...pose
+        };
+
+        const issues = [];
+        issues.push(...PhotoQuality.exposureIssues(metrics));
+        if (metrics.faceRatio < THRESHOLDS.minFaceRatio || metrics.faceWidth < THRESHOLDS.minFacePixels) {
+            issues.push(QUALITY_ISSUES.tooSmall);
+        }
+        if (metrics.score < THRESHOLDS.minScore) {
+            issues.push(QUALITY_ISSUES.lowScore);
+        }
+        if (Math.abs(metrics.yaw) > THRESHOLDS.maxYaw) {
+            issues.push(QUALITY_ISSUES.turned);
+        }
+        if (Math.abs(metrics.pitch) > THRESHOLDS.maxPitch) {
+            issues.push(QUALITY_ISSUES.tilted);
+        }
+
+        return { passed: issues.length === 0, issues, metrics };
+    }
+
+    /**
+     * Issue for a group photo where no face passed: the main problem most of the faces
+     * share (on a tie, whichever comes first in QUALITY_ISSUES), saying none could be used
+     */
+    static groupIssue(qualities) {
+        const counts = new Map();
+        qualities.forEach(quality => {
+            const issue = quality.issues[0];
+            counts.set(issue, (counts.get(issue) || 0) + 1);
+        });
+
+        const order = Object.values(QUALITY_ISSUES);
+        const [issue, count] = [...counts].sort((a, b) => b[1] - a[1] || order.indexOf(a[0]) - order.indexOf(b[0]))[0];
+        const total = qualities.length;
+
+        return {
+            ...issue,
+            message: `None of the ${total} faces passed the photo check. ${count === total ? 'For all of them' : `For ${count} of them`}: ${issue.message}`
+        };
+    }
+
+    /**
+     * Best guess at why no face was found: a whole-photo exposure or
+     * blur problem if there is one, otherwise the generic message
+     */
+    static diagnoseMissingFace(canvas, group = false) {
+        const metrics = PhotoQuality.measure(canvas, { x: 0, y: 0, width: canvas.width, height: canvas.height });
+        const [issue] = PhotoQuality.exposureIssues(metrics);
+        return issue || (group ? QUALITY_ISSUES.noFaces : QUALITY_ISSUES.noFace);
+    }
+
+    /**
+     * Exposure and sharpness issues, shared by both checks above
+     */
+    static exposureIssues(metrics) {
+        const issues = [];
+        if (metrics.brightness < THRESHOLDS.minBrightness) {
+            issues.push(QUALITY_ISSUES.tooDark);
+        } else if (metrics.brightness > THRESHOLDS.maxBrightness) {
+            issues.push(QUALITY_ISSUES.tooBright);
+        } else if (metrics.contrast < THRESHOLDS.minContrast) {
+            issues.push(QUALITY_ISSUES.lowContrast);
+        }
+        if (metrics.sharpness < THRESHOLDS.minSharpness) {
+            issues.push(QUALITY_ISSUES.blurry);
+        }
+        return issues;
+    }
+
+    /**
+     * Brightness (mean luminance), contrast (its standard deviation) and
+     * sharpness (variance of the Laplacian) of a region of the canvas
+     */
+    static measure(canvas, region) {
+        const x = Math.max(0, Math.floor(region.x));
+        const y = Math.max(0, Math.floor(region.y));
+        const width = Math.max(1, Math.min(canvas.width - x, Math.round(region.width)));
+        const height = Math.max(1, Math.min(canvas.height - y, Math.round(region.height)));
+
+        const sampleWidth = Math.min(SAMPLE_SIZE, width);
+        const sampleHeight = Math.max(1, Math.round(height * sampleWidth / width));
+
+        const sample = document.createElement('canvas');
+        sample.width = sampleWidth;
+        sample.height = sampleHeight;
+        const ctx = sample.getContext('2d');
+        ctx.drawImage(canvas, x, y, width, height, 0, 0, sampleWidth, sampleHeight);
+        const { data } = ctx.getImageData(0, 0, sampleWidth, sampleHeight);
+
+        // Rec. 601 luma
+        const gray = new Float32Array(sampleWidth * sampleHeight);
+        let sum = 0;
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+            sum += gray[i];
+        }
+        const brightness = sum / gray.length;
+
+        let squares = 0;
+        for (let i = 0; i < gray.length; i++) {
+            squares += (gray[i] - brightness) ** 2;
+        }
+        const contrast = Math.sqrt(squares / gray.length);
+
+        return { brightness, contrast, sharpness: PhotoQuality.laplacianVariance(gray, sampleWidth, sampleHeight) };
+    }
+
+    /**
+     * Variance of the 4-neighbour Laplacian over a grayscale image
+     */
+    static laplacianVariance(gray, width, height) {
+        if (width < 3 || height < 3) return 0;
+
+        const values = [];
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                values.push(4 * gray[i] - gray[i - 1] - gray[i + 1] - gray[i - width] - gray[i + width]);
+            }
+        }
+
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        return values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+    }
+
+    /**
+     * Eye aspect ratio averaged over both eyes (landmarks 36-41 and 42-47):
+     * eyelid gap over eye width. Around 0.3 when open, under 0.15 mid-blink.
+     */
+    static eyeOpenness(landmarks) {
+        const positions = landmarks.positions;
+        const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+        const aspect = ([p1, p2, p3, p4, p5, p6]) =>
+            (distance(p2, p6) + distance(p3, p5)) / Math.max(1, 2 * distance(p1, p4));
+
+        return (aspect(positions.slice(36, 42)) + aspect(positions.slice(42, 48))) / 2;
+    }
+
+    /**
+     * Rough head pose in degrees from the 68 landmarks, measured along
+     * the eye line so a tilted (rolled) head doesn't read as turned.
+     * Yaw compares the nose tip's distance to each side of the jaw;
+     * pitch compares where the nose tip sits between the eyes and chin.
+     */
+    static estimatePose(landmarks) {
+        const positions = landmarks.positions;
+        const leftEye = FaceDetection.centroid(positions.slice(36, 42));
+        const rightEye = FaceDetection.centroid(positions.slice(42, 48));
+        const noseTip = positions[30];
+        const chin = positions[8];
+
+        const roll = Math.atan2(rightEye.y - leftEye.y, rightEye.x - leftEye.x);
+        const cos = Math.cos(-roll);
+        const sin = Math.sin(-roll);
+        const upright = point => ({
+            x: point.x * cos - point.y * sin,
+            y: point.x * sin + point.y * cos
+        });
+
+        const jawLeft = upright(positions[0]);
+        const jawRight = upright(positions[16]);
+        const nose = upright(noseTip);
+        const eyeLine = upright(FaceDetection.centroid([leftEye, rightEye]));
+        const chinPoint = upright(chin);
+
+        const toLeft = nose.x - jawLeft.x;
+        const toRight = jawRight.x - nose.x;
+        const yawRatio = (toLeft - toRight) / Math.max(1, toLeft + toRight);
+
+        // Facing the camera, the nose tip sits a bit under halfway down
+        const NEUTRAL_NOSE_POSITION = 0.45;
+        const noseRatio = (nose.y - eyeLine.y) / Math.max(1, chinPoint.y - eyeLine.y);
+        const pitchRatio = (noseRatio - NEUTRAL_NOSE_POSITION) / NEUTRAL_NOSE_POSITION;
+
+        const toDegrees = ratio => Math.asin(Math.max(-1, Math.min(1, ratio))) * 180 / Math.PI;
+
+        return {
+            yaw: toDegrees(yawRatio),
+            pitch: toDegrees(pitchRatio),
+            roll: roll * 180 / Math.PI
+        };
+    }
+}
@@ -1,55 +1,247 @@
 // Preloader Module - Handles preloading of all assets
 
+import { AssetGroup, AssetTracker } from './assetTracker.js';
+import { CharacterManifest } from './characterManifest.js';
+import { Config } from './config.js';
+import { OfflineCache } from './offlineCache.js';
+import { VendorLoader } from './vendorLoader.js';
+
+// Estimated sizes, used for weighting until the real Content-Length is known
+const ESTIMATED_IMAGE_BYTES = 60000;
+const ESTIMATED_SOUND_BYTES = 40000;
+
+// Character images download a few at a time so they don't compete with each other
+const BACKGROUND_CONCURRENCY = 4;
+
+const SOUNDS = {
+    timerBeep: 'assets/sounds/timer-beep.mp3',
+    cameraShutter: 'assets/sounds/camera-shutter.mp3',
+    trumpet: 'assets/sounds/trumpet.mp3'
+};
+
+// face-api.js networks, keyed by property on faceapi.nets, with weight file prefix
+const MODELS = {
+    ssdMobilenetv1: { file: 'ssd_mobilenetv1_model', label: 'SSD MobileNet v1 face detector', estimatedBytes: 5600000 },
+    tinyFaceDetector: { file: 'tiny_face_detector_model', label: 'Tiny face detector', estimatedBytes: 190000 },
+    faceLandmark68Net: { file: 'face_landmark_68_model', label: '68-point landmark model', estimatedBytes: 360000 },
+    faceLandmark68TinyNet: { file: 'face_landmark_68_tiny_model', label: 'Tiny 68-point landmark model', estimatedBytes: 80000 },
+    faceRecognitionNet: { file: 'face_recognition_model', label: 'Face recognition model', estimatedBytes: 6400000 },
+    faceExpressionNet: { file: 'face_expression_model', label: 'Expression model', estimatedBytes: 330000 },
+    ageGenderNet: { file: 'age_gender_model', label: 'Age and gender model', estimatedBytes: 430000 }
+};
+
 export class Preloader {
     constructor() {
-        this.totalAssets = 0;
-        this.loadedAssets = 0;
         this.assets = {
             images: [],
-            sounds: [],
+            characters: [],
+            sounds: {},
             models: []
         };
+        this.vendorSources = VendorLoader.resolveSources(Config);
+        this.usedSources = {};
+        // Weights base URL each net was loaded from, for the detection worker
+        this.modelUrls = {};
+        this.detectorLabel = null;
+        // Blob URL each sound plays from, by asset id - kept while the page is open
+        // (audio reads from it on every play) and revoked when the sound is reloaded
+        this.soundUrls = new Map();
+
+        // Per-asset status and the loader to (re)run for each asset id
+        this.tracker = new AssetTracker();
+        this.tracker.onChange(() => this.updateProgress());
+        this.tasks = new Map();
+        this.characterSlots = [];
+        this.loadedResult = null;
+        this.backgroundLoad = Promise.resolve();
+        this.charactersLoaded = false;
+    }
+
+    /**
+     * Load face-api.js and canvas-confetti from the first working source
+     */
+    async loadLibraries() {
+        const [faceApiSource, confettiSource] = await Promise.all([
+            VendorLoader.loadLibrary('faceApi', 'faceapi', this.vendorSources),
+            VendorLoader.loadLibrary('confetti', 'confetti', this.vendorSources)
+        ]);
+
+        this.usedSources.library = faceApiSource;
+        this.usedSources.confetti = confettiSource;
+        this.updateSourceStatus();
+
+        return faceApiSource !== null;
+    }
+
+    /**
+     * Show where libraries and models came from on the loading screen
+     */
+    updateSourceStatus() {
+        const sourceText = document.getElementById('loading-source');
+        if (!sourceText) return;
+
+        const describe = (source) => (source ? source.label : 'unavailable');
+        const parts = [`Library: ${describe(this.usedSources.library)}`];
+        if (this.detectorLabel) {
+            parts.push(`Detector: ${this.detectorLabel}`);
+        }
+        if ('models' in this.usedSources) {
+            parts.push(`Models: ${describe(this.usedSources.models)}`);
+        }
+
+        // vendor/ is tried first but ships empty - say so rather than quietly using the CDN
+        const fellBack = (source) => source && source.name !== 'preloaded' && !source.selfHosted;
+        const localMissing = this.vendorSources.some(source => source.selfHosted) &&
+            (fellBack(this.usedSources.library) || fellBack(this.usedSources.models));
+        if (localMissing) {
+            parts.push('Local copy in vendor/ missing - run vendor/fetch.sh');
+        }
+        sourceText.classList.toggle('warning', localMissing);
+        sourceText.textContent = parts.join(' · ');
+    }
+
+    /**
+     * Fetch a file as a Blob, streaming the body so progress is reported per chunk
+     */
+    async fetchWithProgress(id, url, timeoutMs) {
+        const controller = new AbortController();
+        let timedOut = false;
+        const timeout = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeoutMs);
+
+        try {
+            const response = await fetch(url, { signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} for ${url}`);
+            }
+
+            const length = Number(response.headers.get('Content-Length'));
+            if (length > 0) {
+                this.tracker.addTotalBytes(id, length);
+            }
+
+            const type = response.headers.get('Content-Type') || '';
+
+            // No streaming support - fall back to reading it in one go
+            if (!response.body || !response.body.getReader) {
+                const blob = await response.blob();
+                this.tracker.addLoadedBytes(id, blob.size);
+                return blob;
+            }
+
+            const reader = response.body.getReader();
+            const chunks = [];
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                chunks.push(value);
+                this.tracker.addLoadedBytes(id, value.byteLength);
+            }
+
+            return new Blob(chunks, { type });
+        } catch (error) {
+            if (timedOut) {
+                const timeoutError = new Error(`Timed out after ${timeoutMs / 1000}s: ${url}`);
+                timeoutError.name = 'TimeoutError';
+                throw timeoutError;
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeout);
+        }
     }
 
     /**
-     * Preload an image
+     * Preload an image (in CORS mode with `cors`, so canvases it's drawn on can still be read)
      */
-    loadImage(src) {
+    loadImage(src, cors = false) {
         return new Promise((resolve) => {
             const img = new Image();
+            if (cors) img.crossOrigin = 'anonymous';
             let resolved = false;
 
-            const markAsLoaded = () => {
-                if (resolved) return;
-                resolved = true;
-                this.loadedAssets++;
-                this.updateProgress();
-            };
-
             // Add timeout for images that might hang
             const timeout = setTimeout(() => {
                 if (!resolved) {
+                    resolved = true;
                     console.warn(`Image loading timeout for: ${src}`);
-                    markAsLoaded();
                     resolve(null);
                 }
             }, 30000); // 30 second timeout
 
             img.onload = () => {
                 clearTimeout(timeout);
-                markAsLoaded();
+                resolved = true;
                 resolve(img);
             };
             img.onerror = () => {
                 clearTimeout(timeout);
+                resolved = true;
                 console.warn(`Failed to load image: ${src}`);
-                markAsLoaded();
                 resolve(null); // Resolve anyway to not block loading
             };
             img.src = src;
         });
     }
 
+    /**
+     * Load an image with byte progress, falling back to a plain <img> load
+     * when the file cannot be fetched (e.g. a host without CORS headers)
+     */
+    async loadImageAsset(id, src) {
+        let blob;
+        try {
+            blob = await this.fetchWithProgress(id, src, 30000);
+        } catch (error) {
+            if (error.name === 'TimeoutError') throw error;
+            console.warn(`Streamed fetch failed for ${src}, loading directly:`, error);
+            const img = await this.loadImage(src);
+            if (!img) throw new Error(`Failed to load image: ${src}`);
+            return img;
+        }
+
+        // The blob URL only has to last until the image has loaded. Afterwards the image
+        // points at its real URL (the bytes are in the browser's cache by now), since
+        // the matching and reveal screens show it again through its src.
+        const blobUrl = URL.createObjectURL(blob);
+        const decoded = await this.loadImage(blobUrl);
+        URL.revokeObjectURL(blobUrl);
+        if (!decoded) throw new Error(`Could not decode image: ${src}`);
+
+        const img = await this.loadImage(src, true);
+        if (!img) throw new Error(`Failed to load image: ${src}`);
+        return img;
+    }
+
+    /**
+     * Preload a manifest character, falling back to its placeholder if allowed
+     * Resolves to the character with its loaded `img`, or null if it has to be skipped
+     */
+    async loadCharacterImage(id, character) {
+        this.tracker.start(id, character.src);
+
+        try {
+            let img;
+            try {
+                img = await this.loadImageAsset(id, character.src);
+            } catch (error) {
+                if (!character.placeholder || character.src === character.placeholder) throw error;
+                console.warn(`Using placeholder image for "${character.label}"`);
+                this.tracker.start(id, character.placeholder);
+                img = await this.loadImageAsset(id, character.placeholder);
+            }
+
+            this.tracker.complete(id);
+            return { ...character, img };
+        } catch (error) {
+            console.warn(`Skipping character "${character.label}":`, error.message);
+            this.tracker.fail(id, error);
+            return null;
+        }
+    }
+
     /**
      * Preload an audio file
      */
@@ -60,12 +252,11 @@ export class Preloader {
             audio.volume = 1.0;
             let resolved = false;
 
-            // Prevent double-counting
+            // Prevent double-resolving
             const markAsLoaded = () => {
-                if (resolved) return;
+                if (resolved) return false;
                 resolved = true;
-                this.loadedAssets++;
-                this.updateProgress();
+                return true;
             };
 
             // Try to load the audio
@@ -73,15 +264,13 @@ export class Preloader {
                 audio.removeEventListener('canplaythrough', handleCanPlay);
                 audio.removeEventListener('loadeddata', handleCanPlay);
                 audio.removeEventListener('canplay', handleCanPlay);
-                markAsLoaded();
-                resolve(audio);
+                if (markAsLoaded()) resolve(audio);
             };
 
             const handleError = () => {
                 audio.removeEventListener('error', handleError);
                 console.warn(`Failed to load sound: ${src}`);
-                markAsLoaded();
-                resolve(null);
+                if (markAsLoaded()) resolve(null);
             };
 
             // Add timeout for mobile browsers that might not fire events properly
@@ -117,167 +306,257 @@ export class Preloader {
     }
 
     /**
-     * Load face-api.js models
+     * Load a sound with byte progress, falling back to letting <audio> fetch it
      */
-    async loadFaceApiModels() {
-        const MODEL_URL = 'https://cdn.jsdelivr.net/gh/cgarciagl/face-api.js@0.22.2/weights';
+    async loadSoundAsset(id, src) {
+        this.tracker.start(id, src);
 
-        try {
-            // Load models with timeout to prevent hanging
-            const loadWithTimeout = (promise, timeoutMs) => {
-                return Promise.race([
-                    promise,
-                    new Promise((_, reject) =>
-                        setTimeout(() => reject(new Error('Model loading timeout')), timeoutMs)
-                    )
-                ]);
-            };
+        if (this.soundUrls.has(id)) {
+            URL.revokeObjectURL(this.soundUrls.get(id));
+            this.soundUrls.delete(id);
+        }
 
-            await Promise.all([
-                loadWithTimeout(faceapi.nets.ssdMobilenetv1.loadFromUri(MODEL_URL), 60000),
-                loadWithTimeout(faceapi.nets.faceLandmark68Net.loadFromUri(MODEL_URL), 60000)
-            ]);
-            this.loadedAssets += 2;
-            this.updateProgress();
-            return true;
+        let audio;
+        try {
+            const blob = await this.fetchWithProgress(id, src, 10000);
+            const blobUrl = URL.createObjectURL(blob);
+            this.soundUrls.set(id, blobUrl);
+            audio = await this.loadSound(blobUrl);
         } catch (error) {
-            console.error('Error loading face-api models:', error);
-            // Still increment counter even on error to prevent progress bar from getting stuck
-            this.loadedAssets += 2;
-            this.updateProgress();
+            if (error.name === 'TimeoutError') {
+                this.tracker.fail(id, error);
+                return null;
+            }
+            console.warn(`Streamed fetch failed for ${src}, loading directly:`, error);
+            audio = await this.loadSound(src);
+        }
+
+        if (audio) {
+            this.tracker.complete(id);
+        } else {
+            this.tracker.fail(id, new Error(`Failed to load sound: ${src}`));
+        }
+        return audio;
+    }
+
+    /**
+     * Load one face-api.js network from the first source that works
+     */
+    async loadModel(id, net) {
+        const model = { net, ...MODELS[net] };
+
+        this.tracker.start(id);
+
+        if (typeof faceapi === 'undefined') {
+            this.tracker.fail(id, new Error('face-api.js is not loaded'));
             return false;
         }
+
+        for (const source of this.vendorSources) {
+            try {
+                this.tracker.start(id, `${source.weights}/${model.file}`);
+                await this.loadModelFrom(id, model, source.weights);
+                this.tracker.complete(id);
+                this.usedSources.models = source;
+                this.modelUrls[net] = source.weights;
+                this.updateSourceStatus();
+                return true;
+            } catch (error) {
+                console.warn(`Could not load ${model.label} from ${source.label}:`, error);
+                this.tracker.fail(id, error);
+            }
+        }
+
+        if (!('models' in this.usedSources)) {
+            this.usedSources.models = null;
+            this.updateSourceStatus();
+        }
+        console.error(`Error loading face-api model: ${model.label} unavailable from every source`);
+        return false;
+    }
+
+    /**
+     * Fetch a network's weight manifest and shards with progress, then let face-api
+     * load the net from the same URLs, which the browser (or offline) cache now serves.
+     * face-api's own loader fetches the shards through tfjs, out of reach of
+     * faceapi.env.monkeyPatch, so this is the way to get byte progress.
+     */
+    async loadModelFrom(id, model, baseUrl) {
+        const manifestBlob = await this.fetchWithProgress(id, `${baseUrl}/${model.file}-weights_manifest.json`, 30000);
+        const manifest = JSON.parse(await manifestBlob.text());
+
+        const paths = manifest.flatMap(group => group.paths);
+        await Promise.all(paths.map(path => this.fetchWithProgress(id, `${baseUrl}/${path}`, 60000)));
+
+        await faceapi.nets[model.net].loadFromUri(baseUrl);
     }
 
     /**
      * Update loading progress bar
      */
     updateProgress() {
-        const progress = (this.loadedAssets / this.totalAssets) * 100;
         const progressBar = document.getElementById('loading-progress');
         const statusText = document.getElementById('loading-status');
 
+        // The loading screen only waits for critical assets
+        const progress = this.tracker.getProgress(AssetGroup.CRITICAL) * 100;
+
         if (progressBar) {
             progressBar.style.width = `${progress}%`;
         }
 
         if (statusText) {
-            if (progress < 30) {
-                statusText.textContent = 'Loading assets...';
-            } else if (progress < 70) {
-                statusText.textContent = 'Loading facial recognition models...';
-            } else if (progress < 100) {
+            if (progress >= 100) {
+                const failed = this.tracker.getFailed(AssetGroup.CRITICAL).length;
+                statusText.textContent = failed > 0
+                    ? `Ready, but ${failed} asset${failed === 1 ? '' : 's'} failed to load`
+                    : 'Ready!';
+            } else if (progress >= 90) {
                 statusText.textContent = 'Almost ready...';
+            } else if (this.tracker.getActive('model').length > 0) {
+                statusText.textContent = 'Loading facial recognition models...';
             } else {
-                statusText.textContent = 'Ready!';
+                statusText.textContent = 'Loading assets...';
             }
         }
     }
 
+    /**
+     * Register an asset and the loader that (re)loads it
+     */
+    addTask(id, info, loader) {
+        this.tracker.register(id, info);
+        this.tasks.set(id, loader);
+    }
+
     /**
      * Load all assets
+     * Only the weights for the chosen detector (see detectors.js) and any
+     * optional features in `extraModels` are downloaded. `optionalModels` load
+     * at the same time, but the app carries on without them if they fail.
      */
-    async loadAll() {
-        // Use placeholder images from placehold.co (can be replaced with local images)
-        const placeholderCharacters = Preloader.generatePlaceholderImages();
-        const characterImages = placeholderCharacters.map(char => char.src);
-
-        // Use placeholder for sloth image
-        const slothPlaceholder = Preloader.getPlaceholderSloth();
-
-        // Define sound files
-        const sounds = [
-            'assets/sounds/timer-beep.mp3',
-            'assets/sounds/camera-shutter.mp3',
-            'assets/sounds/trumpet.mp3'
-        ];
-
-        // Calculate total assets (images + sounds + 2 face-api models + sloth image)
-        this.totalAssets = characterImages.length + sounds.length + 2 + 1;
-
-        // Load all images
-        const imagePromises = characterImages.map(src => this.loadImage(src));
-        const slothPromise = this.loadImage(slothPlaceholder.src);
-
-        // Load all sounds
-        const soundPromises = sounds.map(src => this.loadSound(src));
-
-        // Load face-api models
-        const modelsPromise = this.loadFaceApiModels();
-
-        // Wait for everything to load
-        const [loadedImages, slothImage, loadedSounds] = await Promise.all([
-            Promise.all(imagePromises),
-            slothPromise,
-            Promise.all(soundPromises),
-            modelsPromise
-        ]);
+    async loadAll(detectorChoice, extraModels = [], optionalModels = [], manifestUrl = Config.manifestUrl) {
+        this.detectorLabel = `${detectorChoice.detector.label} (${detectorChoice.reason})`;
+        this.updateSourceStatus();
+
+        // Character database comes from the manifest
+        const manifest = await CharacterManifest.load(manifestUrl);
+        this.assets.manifestErrors = manifest.errors;
+        this.assets.result = manifest.result;
+
+        // Keep an offline copy of everything, versioned by manifest content and model version
+        if (manifest.hash) {
+            OfflineCache.register(OfflineCache.getCacheKey(manifest.hash));
+        }
+
+        // Result image - first in the background queue, it is needed for the reveal
+        if (manifest.result) {
+            this.addTask('result', { label: manifest.result.label, kind: 'image', group: AssetGroup.BACKGROUND, url: manifest.result.src, estimatedBytes: ESTIMATED_IMAGE_BYTES },
+                async () => {
+                    this.loadedResult = await this.loadCharacterImage('result', manifest.result);
+                });
+        }
+
+        // Characters
+        this.characterSlots = new Array(manifest.characters.length).fill(null);
+        manifest.characters.forEach((character, index) => {
+            const id = `character:${index}`;
+            this.addTask(id, { label: character.label, kind: 'image', group: AssetGroup.BACKGROUND, url: character.src, estimatedBytes: ESTIMATED_IMAGE_BYTES },
+                async () => {
+                    this.characterSlots[index] = await this.loadCharacterImage(id, character);
+                });
+        });
+
+        // Sounds
+        Object.entries(SOUNDS).forEach(([key, src]) => {
+            const id = `sound:${key}`;
+            this.addTask(id, { label: src.split('/').pop(), kind: 'sound', group: AssetGroup.CRITICAL, url: src, estimatedBytes: ESTIMATED_SOUND_BYTES },
+                async () => {
+                    this.assets.sounds[key] = await this.loadSoundAsset(id, src);
+                });
+        });
 
-        // Store loaded assets
-        this.assets.images = loadedImages.filter(img => img !== null);
-        this.assets.slothImage = slothImage;
-        this.assets.sounds = {
-            timerBeep: loadedSounds[0],
-            cameraShutter: loadedSounds[1],
-            trumpet: loadedSounds[2]
+        // face-api models for the chosen detector and enabled features
+        [...detectorChoice.detector.models, ...extraModels].forEach(net => {
+            const id = `model:${net}`;
+            this.addTask(id, { label: MODELS[net].label, kind: 'model', group: AssetGroup.CRITICAL, estimatedBytes: MODELS[net].estimatedBytes },
+                () => this.loadModel(id, net));
+        });
+        optionalModels.forEach(net => {
+            const id = `model:${net}`;
+            this.addTask(id, { label: MODELS[net].label, kind: 'model', group: AssetGroup.OPTIONAL, estimatedBytes: MODELS[net].estimatedBytes },
+                () => this.loadModel(id, net));
+        });
+
+        // Phase 1: models and UI sounds - the upload screen waits for these
+        // (and for the optional models to load or fail, so the detection worker gets them too)
+        await Promise.all([this.runGroup(AssetGroup.CRITICAL), this.runGroup(AssetGroup.OPTIONAL)]);
+
+        // Phase 2: character images stream in while the user picks a photo
+        this.charactersLoaded = false;
+        this.backgroundLoad = this.runGroup(AssetGroup.BACKGROUND, BACKGROUND_CONCURRENCY).then(() => {
+            this.charactersLoaded = true;
+            this.finalizeAssets();
+        });
+
+        return this.finalizeAssets();
+    }
+
+    /**
+     * Run every loader in a group, at most `concurrency` at a time
+     */
+    async runGroup(group, concurrency = Infinity) {
+        const queue = [...this.tasks.keys()].filter(id => this.tracker.get(id).group === group);
+
+        const worker = async () => {
+            while (queue.length > 0) {
+                const id = queue.shift();
+                await this.tasks.get(id)();
+            }
         };
 
-        return this.assets;
+        const workerCount = Math.min(concurrency, queue.length);
+        await Promise.all(Array.from({ length: workerCount }, worker));
     }
 
     /**
-     * Create silent audio element (placeholder for real sound effects)
+     * Resolves once every character image has loaded (or failed)
      */
-    createSilentAudio() {
-        // Create a very short silent audio using data URI
-        const audio = new Audio();
-        // This is a minimal valid MP3 file (silent)
-        audio.src = 'data:audio/mp3;base64,SUQzBAAAAAAAI1RTU0UAAAAPAAADTGF2ZjU4Ljc2LjEwMAAAAAAAAAAAAAAA//tQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAWGluZwAAAA8AAAACAAADhAC7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7v/////////////////////////////////////////////////////////////////',
-            this.loadedAssets++;
-        this.updateProgress();
-        return audio;
+    whenCharactersLoaded() {
+        return this.backgroundLoad;
     }
 
     /**
-     * Create placeholder character images if needed
+     * Run the loaders for every failed or timed-out asset again
      */
-    static generatePlaceholderImages() {
-        const characters = [
-            { name: 'Joi - Blade Runner 2049', width: 400, height: 200, image: 'assets/images/characters/joi.avif' },
-            { name: 'The Devil - Bedazzled', width: 250, height: 188, image: 'assets/images/characters/devil.webp' },
-            { name: 'Evelyn - The Mummy', width: 184, height: 274, image: 'assets/images/characters/evelyn.jpg' },
-            { name: 'Elisha - The Girl Next Door', width: 400, height: 209, image: 'assets/images/characters/elisha.avif' },
-            { name: 'Carolina - Desperado', width: 400, height: 225, image: 'assets/images/characters/carolina.webp' },
-            { name: 'Nancy Callahan - Sin City', width: 305, height: 400, image: 'assets/images/characters/nancy.jpg' },
-            { name: 'Persephone - The Matrix Reloaded', width: 185, height: 272, image: 'assets/images/characters/persephone.jpg' },
-            { name: 'Ilsa Faust - Mission: Impossible - Fallout', width: 400, height: 300, image: 'assets/images/characters/ilsa.jpg' },
-            { name: 'Rita Vrataski - Edge of Tomorrow', width: 279, height: 400, image: 'assets/images/characters/rita.jpeg' },
-            { name: 'Rick O\'Connell - The Mummy', width: 317, height: 400, image: 'assets/images/characters/rick.webp' },
-            { name: 'Indiana Jones - Raiders of the Lost Ark', width: 400, height: 267, image: 'assets/images/characters/indiana.webp' },
-            { name: 'Aragorn - The Lord of the Rings: The Return of the King', width: 400, height: 294, image: 'assets/images/characters/aragorn.webp' },
-            { name: 'Christian Grey - 50 Shades of Grey', width: 400, height: 267, image: 'assets/images/characters/christian.webp' },
-            { name: 'Driver - Driver', width: 267, height: 400, image: 'assets/images/characters/driver.jpg' },
-            { name: 'Westley - The Princess Bride', width: 267, height: 400, image: 'assets/images/characters/westley.webp' },
-            { name: 'Bloodsport - Suicide Squad', width: 400, height: 254, image: 'assets/images/characters/bloodsport.jpg' },
-            { name: 'Naomi Lapaglia - The Wolf of Wall Street', width: 267, height: 400, image: 'assets/images/characters/naomi.webp' },
-            { name: 'Allison Lang - Havoc', width: 400, height: 218, image: 'assets/images/characters/allison.webp' },
-            { name: 'Masked Bandit - The Fall', width: 400, height: 267, image: 'assets/images/characters/bandit.webp' },
-        ];
-
-        return characters.map((char, index) => ({
-            src: char.image || `https://placehold.co/${char.width}x${char.height}/667eea/ffffff?text=${encodeURIComponent(char.name)}`,
-            name: char.name
-        }));
+    async retryFailed() {
+        const failed = this.tracker.getFailed();
+        await Promise.all(failed.map(asset => this.tasks.get(asset.id)()));
+        return this.finalizeAssets();
     }
 
     /**
-     * Get placeholder sloth image
+     * Collect loaded assets into the shape the app uses
      */
-    static getPlaceholderSloth() {
-        return {
-            src: 'assets/images/characters/sloth.webp',
-            name: 'Sloth -  The Goonies'
-        };
+    finalizeAssets() {
+        this.assets.characters = this.characterSlots.filter(character => character !== null);
+        this.assets.images = this.assets.characters.map(character => character.img);
+        this.assets.slothImage = this.loadedResult ? this.loadedResult.img : null;
+        if (this.charactersLoaded && !this.loadedResult) {
+            console.error('Result image could not be loaded - check the "result" entry in the character manifest');
+        }
+
+        return this.assets;
     }
-}
 
+    /**
+     * Create silent audio element (placeholder for real sound effects)
+     */
+    createSilentAudio() {
+        // Create a very short silent audio using data URI
+        const audio = new Audio();
+        // This is a minimal valid MP3 file (silent)
+        audio.src = 'data:audio/mp3;base64,SUQzBAAAAAAAI1RTU0UAAAAPAAADTGF2ZjU4Ljc2LjEwMAAAAAAAAAAAAAAA//tQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAWGluZwAAAA8AAAACAAADhAC7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7u7v/////////////////////////////////////////////////////////////////';
+        return audio;
+    }
+}
@@ -0,0 +1,630 @@
+// Reveals Module - Interchangeable sequences for the final single-face reveal
+//
+// Every reveal gets the same context and puts anything it adds to the reveal
+// screen in its own stage element, so Animation.resetRevealScreen() can undo
+// whichever one ran.
+//
+// context: {
+//     userCanvas, resultImage, trumpetSound,
+//     character, similarity,   // result entry (may be null) and its score
+//     decoys,                  // other character images, for reels and the like
+//     morph, morphDuration,    // optional FaceMorph for the classic reveal
+//     signal                   // optional AbortSignal - aborting stops the reveal at its next pause
+// }
+
+import { Animation } from './animation.js';
+
+// Drawing resolution for the square images reveals work with
+const STAGE_SIZE = 400;
+
+/**
+ * Shared steps (flash, finale) and the stage every reveal draws on
+ */
+export class Reveal {
+    static get defaults() {
+        return {
+            // How long the "match found" flash lingers
+            flashDuration: 2500,
+            // How long the user's own face shows before the reveal starts
+            lingerTime: 1500
+        };
+    }
+
+    constructor(options = {}) {
+        this.options = { ...this.constructor.defaults, ...options };
+        this.stage = null;
+        this.signal = null;
+    }
+
+    static elements() {
+        return {
+            flash: document.getElementById('match-found-flash'),
+            content: document.querySelector('.reveal-content'),
+            imageContainer: document.querySelector('.reveal-image-container'),
+            userCanvas: document.getElementById('reveal-user-canvas'),
+            resultImage: document.getElementById('reveal-result-image'),
+            text: document.getElementById('reveal-text'),
+            restartBtn: document.getElementById('restart-btn')
+        };
+    }
+
+    /**
+     * Put the user's face and the (still hidden) result in place
+     */
+    setup(context) {
+        this.signal = context.signal || null;
+        const { userCanvas, resultImage } = Reveal.elements();
+        Animation.copyCanvas(context.userCanvas, userCanvas);
+        resultImage.src = context.resultImage.src;
+    }
+
+    /**
+     * Run the reveal - styles override this
+     */
+    async play(context) {
+        await this.flash();
+        await this.showUser();
+        Reveal.elements().resultImage.classList.add('fade-in');
+        await Animation.playTrumpet(context.trumpetSound);
+        await this.finale();
+    }
+
+    /**
+     * Remove whatever this reveal added
+     */
+    reset() {
+        if (this.stage) {
+            this.stage.remove();
+            this.stage = null;
+        }
+    }
+
+    /**
+     * "97% MATCH FOUND" flash, lingering to build tension
+     */
+    async flash() {
+        const { flash } = Reveal.elements();
+        flash.classList.add('active');
+        await this.wait(this.options.flashDuration);
+        flash.classList.remove('active');
+
+        // Brief pause after flash
+        await this.wait(300);
+    }
+
+    /**
+     * Fade the reveal in on the user's own face
+     */
+    async showUser() {
+        Reveal.elements().content.classList.add('active');
+        await this.wait(this.options.lingerTime);
+    }
+
+    /**
+     * Text, confetti and restart button
+     */
+    async finale() {
+        const { text, restartBtn } = Reveal.elements();
+        text.classList.add('active');
+        Animation.triggerConfetti();
+        await this.wait(1000);
+        restartBtn.classList.add('active');
+    }
+
+    /**
+     * Pause between steps - rejects with an AbortError once the reveal is cancelled
+     */
+    wait(ms) {
+        return Animation.wait(ms, this.signal);
+    }
+
+    /**
+     * Run a Web Animation on an element and wait for it to finish - it's cancelled
+     * (rejecting with an AbortError) once the reveal is
+     */
+    async animate(element, keyframes, options) {
+        Animation.throwIfAborted(this.signal);
+
+        const animation = element.animate(keyframes, options);
+        if (!this.signal) {
+            await animation.finished;
+            return;
+        }
+
+        const cancel = () => animation.cancel();
+        this.signal.addEventListener('abort', cancel, { once: true });
+        try {
+            await animation.finished;
+        } finally {
+            this.signal.removeEventListener('abort', cancel);
+        }
+    }
+
+    /**
+     * A layer over the reveal image for this style's own elements
+     */
+    createStage(className) {
+        this.reset();
+        this.stage = document.createElement('div');
+        this.stage.className = `reveal-stage ${className}`;
+        Reveal.elements().imageContainer.appendChild(this.stage);
+        return this.stage;
+    }
+
+    /**
+     * Image drawn into a size x size square, cropped like object-fit: cover
+     */
+    static squareCanvas(image, size = STAGE_SIZE) {
+        const width = image.naturalWidth || image.width;
+        const height = image.naturalHeight || image.height;
+        const scale = size / Math.min(width, height);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        canvas.getContext('2d').drawImage(
+            image,
+            (size - width * scale) / 2, (size - height * scale) / 2,
+            width * scale, height * scale
+        );
+        return canvas;
+    }
+
+    static element(tag, className, text = '') {
+        const element = document.createElement(tag);
+        element.className = className;
+        element.textContent = text;
+        return element;
+    }
+
+    /**
+     * Type text into an element one character at a time
+     */
+    static async typeText(element, text, charDelay, signal = null) {
+        for (const char of text) {
+            element.textContent += char;
+            await Animation.wait(charDelay, signal);
+        }
+    }
+
+    /**
+     * Name, film and year of the result, or generic ones without a character
+     */
+    static describe(character) {
+        return character
+            ? { name: character.name, film: character.film, year: character.year }
+            : { name: 'A Movie Star', film: 'Unknown', year: '' };
+    }
+}
+
+/**
+ * The original: flash, morph (or fade) into the result, trumpet, confetti
+ */
+export class ClassicReveal extends Reveal {
+    async play(context) {
+        const { userCanvas, resultImage } = Reveal.elements();
+
+        await this.flash();
+        await this.showUser();
+
+        if (context.morph) {
+            // Morph the user's face into the result, then swap in the real image
+            // (the last morph frame matches it, so the fade is invisible)
+            await context.morph.play(userCanvas, context.morphDuration, this.signal);
+            await Animation.playTrumpet(context.trumpetSound);
+            resultImage.classList.add('fade-in');
+        } else {
+            // Fade out user image and fade in the result
+            userCanvas.classList.add('fade-out');
+            await this.wait(1000);
+            await Animation.playTrumpet(context.trumpetSound);
+            resultImage.classList.add('fade-in');
+        }
+
+        await this.wait(1000);
+        await this.finale();
+    }
+}
+
+/**
+ * Slot machine: the face is cut into reels that spin through other characters
+ * and stop one by one on the result
+ */
+export class SlotMachineReveal extends Reveal {
+    static get defaults() {
+        return {
+            ...super.defaults,
+            reels: 3,
+            // Faces each reel passes before landing
+            spins: 14,
+            spinDuration: 1800,
+            // Extra spin time for each reel after the first
+            reelDelay: 600
+        };
+    }
+
+    async play(context) {
+        const { resultImage } = Reveal.elements();
+        const { reels, spins, spinDuration, reelDelay } = this.options;
+
+        await this.flash();
+        await this.showUser();
+
+        const from = Reveal.squareCanvas(context.userCanvas);
+        const to = Reveal.squareCanvas(context.resultImage);
+        const loaded = (context.decoys || []).filter(image => image.naturalWidth > 0);
+        const decoys = loaded.length > 0 ? loaded.map(image => Reveal.squareCanvas(image)) : [from, to];
+
+        const stage = this.createStage('reveal-slots');
+        const strips = [];
+        for (let reel = 0; reel < reels; reel++) {
+            // Starts on the user's face, ends on the result
+            const faces = [from];
+            for (let i = 0; i < spins; i++) {
+                faces.push(decoys[Math.floor(Math.random() * decoys.length)]);
+            }
+            faces.push(to);
+
+            const reelElement = Reveal.element('div', 'slot-reel');
+            const strip = Reveal.element('div', 'slot-strip');
+            strip.style.height = `${faces.length * 100}%`;
+            faces.forEach(face => strip.appendChild(SlotMachineReveal.slice(face, reel, reels, faces.length)));
+
+            reelElement.appendChild(strip);
+            stage.appendChild(reelElement);
+            strips.push({ strip, count: faces.length });
+        }
+
+        await Promise.all(strips.map(({ strip, count }, index) => this.animate(
+            strip,
+            [
+                { transform: 'translateY(0)' },
+                { transform: `translateY(-${(count - 1) / count * 100}%)` }
+            ],
+            {
+                duration: spinDuration + index * reelDelay,
+                easing: 'cubic-bezier(0.3, 0, 0.2, 1)',
+                fill: 'forwards'
+            }
+        )));
+
+        // Close the gaps between reels over the finished face
+        stage.classList.add('landed');
+        await Animation.playTrumpet(context.trumpetSound);
+        resultImage.classList.add('fade-in');
+
+        await this.wait(1000);
+        await this.finale();
+    }
+
+    /**
+     * One reel's vertical slice of a square face, sized as one of count tiles in the strip
+     */
+    static slice(face, reel, reels, count) {
+        const width = Math.round(face.width / reels);
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = face.height;
+        canvas.getContext('2d').drawImage(face, reel * width, 0, width, face.height, 0, 0, width, face.height);
+        canvas.style.height = `${100 / count}%`;
+        return canvas;
+    }
+}
+
+/**
+ * Glitch: the signal breaks up into torn bands and split colour channels,
+ * and comes back as the result, on a CRT
+ */
+export class GlitchReveal extends Reveal {
+    static get defaults() {
+        return {
+            ...super.defaults,
+            duration: 2500,
+            // Torn bands per frame at the worst moment
+            bands: 14,
+            // Largest sideways tear, in pixels
+            maxShift: 60,
+            // Largest red/blue separation, in pixels
+            channelShift: 10
+        };
+    }
+
+    async play(context) {
+        const { userCanvas, resultImage } = Reveal.elements();
+
+        await this.flash();
+        await this.showUser();
+
+        const from = Reveal.squareCanvas(context.userCanvas);
+        const to = Reveal.squareCanvas(context.resultImage);
+
+        const stage = this.createStage('reveal-glitch');
+        const canvas = document.createElement('canvas');
+        canvas.width = STAGE_SIZE;
+        canvas.height = STAGE_SIZE;
+        stage.appendChild(canvas);
+        userCanvas.classList.add('fade-out');
+
+        await this.corrupt(canvas.getContext('2d'), from, to);
+
+        await Animation.playTrumpet(context.trumpetSound);
+        resultImage.classList.add('fade-in');
+        stage.classList.add('settled');
+
+        await this.wait(1000);
+        await this.finale();
+    }
+
+    /**
+     * Glitch from one picture to the other - worst in the middle, clean at both ends
+     */
+    corrupt(ctx, from, to) {
+        return new Promise((resolve, reject) => {
+            const start = performance.now();
+            const frame = (now) => {
+                if (this.signal && this.signal.aborted) {
+                    reject(Animation.abortError());
+                    return;
+                }
+
+                const t = Math.min(1, (now - start) / this.options.duration);
+                if (t < 1) {
+                    this.drawFrame(ctx, from, to, t, Math.sin(t * Math.PI));
+                    requestAnimationFrame(frame);
+                } else {
+                    ctx.drawImage(to, 0, 0);
+                    resolve();
+                }
+            };
+            requestAnimationFrame(frame);
+        });
+    }
+
+    drawFrame(ctx, from, to, t, intensity) {
+        const { bands, maxShift, channelShift } = this.options;
+        const size = ctx.canvas.width;
+
+        // The result breaks through more and more often
+        ctx.drawImage(Math.random() < t ? to : from, 0, 0);
+
+        for (let i = 0; i < Math.round(bands * intensity); i++) {
+            const y = Math.random() * size;
+            const height = 2 + Math.random() * size / bands;
+            const shift = (Math.random() * 2 - 1) * maxShift * intensity;
+            ctx.drawImage(Math.random() < t ? to : from, 0, y, size, height, shift, y, size, height);
+        }
+
+        if (intensity > 0.2 && !this.channelsUnavailable) {
+            this.splitChannels(ctx, Math.round(channelShift * intensity));
+        }
+    }
+
+    /**
+     * Pull the red channel left and the blue channel right
+     */
+    splitChannels(ctx, shift) {
+        const size = ctx.canvas.width;
+        let image;
+        try {
+            image = ctx.getImageData(0, 0, size, size);
+        } catch (error) {
+            // Result image from another origin without CORS - tears only
+            console.warn('Glitch reveal cannot read pixels, skipping colour split:', error);
+            this.channelsUnavailable = true;
+            return;
+        }
+
+        const data = image.data;
+        const copy = new Uint8ClampedArray(data);
+        for (let i = 0; i < data.length; i += 4) {
+            const x = (i / 4) % size;
+            if (x >= shift) data[i] = copy[i - shift * 4];
+            if (x < size - shift) data[i + 2] = copy[i + shift * 4 + 2];
+        }
+        ctx.putImageData(image, 0, 0);
+    }
+}
+
+/**
+ * Breaking news: a front page spins in with the match as its headline
+ */
+export class NewspaperReveal extends Reveal {
+    static get defaults() {
+        return {
+            ...super.defaults,
+            masthead: 'The Daily Doppelganger',
+            spinDuration: 1800,
+            turns: 3
+        };
+    }
+
+    async play(context) {
+        const { name, film, year } = Reveal.describe(context.character);
+
+        await this.flash();
+        await this.showUser();
+
+        const stage = this.createStage('reveal-newspaper');
+        const paper = Reveal.element('div', 'newspaper');
+
+        const date = new Date().toLocaleDateString(undefined, {
+            weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
+        });
+
+        const photos = Reveal.element('div', 'newspaper-photos');
+        const userPhoto = document.createElement('canvas');
+        Animation.copyCanvas(context.userCanvas, userPhoto);
+        const resultPhoto = document.createElement('img');
+        resultPhoto.src = context.resultImage.src;
+        resultPhoto.alt = name;
+        photos.append(userPhoto, resultPhoto);
+
+        paper.append(
+            Reveal.element('h3', 'newspaper-masthead', this.options.masthead),
+            Reveal.element('p', 'newspaper-dateline', `${date} · Extra Edition`),
+            Reveal.element('h4', 'newspaper-headline', `Local Face Is ${context.similarity}% ${name}!`),
+            photos,
+            Reveal.element('p', 'newspaper-caption',
+                `Left: our subject. Right: ${name}${year ? `, ${film} (${year})` : ''}. Experts cannot tell them apart.`)
+        );
+        stage.appendChild(paper);
+
+        await this.animate(
+            paper,
+            [
+                { transform: 'scale(0.05) rotate(0deg)', opacity: 0 },
+                { transform: `scale(1) rotate(${this.options.turns * 360}deg)`, opacity: 1 }
+            ],
+            { duration: this.options.spinDuration, easing: 'ease-out', fill: 'forwards' }
+        );
+
+        await Animation.playTrumpet(context.trumpetSound);
+        await this.wait(1000);
+        await this.finale();
+    }
+}
+
+/**
+ * Dossier: a classified file prints out line by line and gets stamped
+ */
+export class DossierReveal extends Reveal {
+    static get defaults() {
+        return {
+            ...super.defaults,
+            printDuration: 1500,
+            charDelay: 25,
+            lineDelay: 200
+        };
+    }
+
+    async play(context) {
+        const { name, film, year } = Reveal.describe(context.character);
+
+        await this.flash();
+        await this.showUser();
+
+        const stage = this.createStage('reveal-dossier');
+        const paper = Reveal.element('div', 'dossier');
+
+        const photos = Reveal.element('div', 'dossier-photos');
+        const userPhoto = document.createElement('canvas');
+        Animation.copyCanvas(context.userCanvas, userPhoto);
+        const resultPhoto = document.createElement('img');
+        resultPhoto.src = context.resultImage.src;
+        resultPhoto.alt = name;
+        photos.append(userPhoto, resultPhoto);
+
+        const lines = Reveal.element('pre', 'dossier-lines');
+        const stamp = Reveal.element('div', 'dossier-stamp', 'Match Confirmed');
+
+        paper.append(Reveal.element('h3', 'dossier-header', 'Classified · Subject File'), photos, lines, stamp);
+        stage.appendChild(paper);
+
+        // Feeds out of the top like a printer
+        await this.animate(
+            paper,
+            [{ transform: 'translateY(-100%)' }, { transform: 'translateY(0)' }],
+            { duration: this.options.printDuration, easing: 'steps(12, end)', fill: 'forwards' }
+        );
+
+        const fileNumber = String(Math.floor(Math.random() * 1000000)).padStart(6, '0');
+        const entries = [
+            `FILE NO.    ${fileNumber}`,
+            'SUBJECT     UNKNOWN VISITOR',
+            `MATCH       ${name.toUpperCase()}`,
+            `SOURCE      ${film.toUpperCase()}${year ? ` (${year})` : ''}`,
+            `CONFIDENCE  ${context.similarity}%`
+        ];
+        for (const entry of entries) {
+            await Reveal.typeText(lines, `${entry}\n`, this.options.charDelay, this.signal);
+            await this.wait(this.options.lineDelay);
+        }
+
+        paper.classList.add('stamped');
+        await Animation.playTrumpet(context.trumpetSound);
+        await this.wait(1000);
+        await this.finale();
+    }
+}
+
+const REVEALS = {
+    classic: ClassicReveal,
+    slots: SlotMachineReveal,
+    glitch: GlitchReveal,
+    newspaper: NewspaperReveal,
+    dossier: DossierReveal
+};
+
+export class Reveals {
+    /**
+     * Add a reveal (a Reveal subclass) under a name
+     */
+    static register(name, RevealClass) {
+        REVEALS[name] = RevealClass;
+    }
+
+    static names() {
+        return Object.keys(REVEALS);
+    }
+
+    /**
+     * Build a reveal from a style name, { style, ...options }, or an existing reveal
+     */
+    static create(spec = 'classic') {
+        if (spec instanceof Reveal) {
+            return spec;
+        }
+
+        const { style = 'classic', ...options } = typeof spec === 'string' ? { style: spec } : spec;
+        const RevealClass = REVEALS[style];
+        if (!RevealClass) {
+            console.warn(`Unknown reveal "${style}", using classic`);
+            return new ClassicReveal(options);
+        }
+        return new RevealClass(options);
+    }
+
+    /**
+     * Reveal for this run from config.reveal: a style name or { style, ...options }
+     * fixes it, 'random' picks any, { weights: { style: weight } } picks by weight.
+     * ?reveal=<style> in the URL overrides it.
+     */
+    static choose(config, random = Math.random) {
+        const override = new URLSearchParams(window.location.search).get('reveal');
+        if (override && REVEALS[override]) {
+            return Reveals.create(override);
+        }
+
+        const spec = config.reveal || 'classic';
+        if (spec === 'random') {
+            const names = Reveals.names();
+            return Reveals.create(names[Math.floor(random() * names.length)]);
+        }
+        if (spec.weights) {
+            return Reveals.create(Reveals.pickWeighted(spec.weights, random));
+        }
+        return Reveals.create(spec);
+    }
+
+    /**
+     * Style name picked with probability proportional to its weight
+     */
+    static pickWeighted(weights, random = Math.random) {
+        const entries = Object.entries(weights).filter(([name, weight]) => {
+            if (!REVEALS[name]) {
+                console.warn(`Unknown reveal "${name}" in weights, ignoring it`);
+                return false;
+            }
+            return weight > 0;
+        });
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        if (total === 0) return 'classic';
+
+        let roll = random() * total;
+        for (const [name, weight] of entries) {
+            roll -= weight;
+            if (roll < 0) return name;
+        }
+        return entries[entries.length - 1][0];
+    }
+}
@@ -0,0 +1,105 @@
+// Vendor Loader Module - Loads third-party libraries and model weights
+// from an ordered list of sources (self-hosted first, then CDN)
+
+export const FACE_API_VERSION = '0.22.2';
+
+const SOURCES = {
+    local: {
+        label: 'local (vendor/)',
+        selfHosted: true,
+        faceApi: 'vendor/face-api/face-api.min.js',
+        weights: 'vendor/face-api/weights',
+        confetti: 'vendor/canvas-confetti/confetti.browser.min.js'
+    },
+    cdn: {
+        label: 'CDN (jsDelivr)',
+        selfHosted: false,
+        faceApi: `https://cdn.jsdelivr.net/gh/cgarciagl/face-api.js@${FACE_API_VERSION}/dist/face-api.min.js`,
+        weights: `https://cdn.jsdelivr.net/gh/cgarciagl/face-api.js@${FACE_API_VERSION}/weights`,
+        confetti: 'https://cdn.jsdelivr.net/npm/canvas-confetti@1.6.0/dist/confetti.browser.min.js'
+    }
+};
+
+export class VendorLoader {
+    /**
+     * Resolve the configured source names into URLs, in fallback order
+     */
+    static resolveSources(config) {
+        return config.vendorSources
+            .filter(name => {
+                if (!SOURCES[name]) {
+                    console.warn(`Unknown vendor source "${name}" ignored`);
+                    return false;
+                }
+                return true;
+            })
+            .map(name => {
+                const source = SOURCES[name];
+                const prefix = source.selfHosted ? config.assetBaseUrl : '';
+                return {
+                    name,
+                    label: source.label,
+                    selfHosted: source.selfHosted,
+                    faceApi: prefix + source.faceApi,
+                    weights: prefix + source.weights,
+                    confetti: prefix + source.confetti
+                };
+            });
+    }
+
+    /**
+     * Inject a script tag and wait until it defines `globalName`
+     */
+    static loadScript(url, globalName, timeoutMs = 20000) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+
+            const timeout = setTimeout(() => {
+                script.remove();
+                reject(new Error(`Timed out loading ${url}`));
+            }, timeoutMs);
+
+            script.onload = () => {
+                clearTimeout(timeout);
+                if (typeof window[globalName] === 'undefined') {
+                    script.remove();
+                    reject(new Error(`${url} did not define ${globalName}`));
+                } else {
+                    resolve();
+                }
+            };
+            script.onerror = () => {
+                clearTimeout(timeout);
+                script.remove();
+                reject(new Error(`Failed to load ${url}`));
+            };
+
+            // Fetched with CORS, so the service worker gets a response it can cache
+            script.crossOrigin = 'anonymous';
+            script.src = url;
+            document.head.appendChild(script);
+        });
+    }
+
+    /**
+     * Load a library from the first source that works
+     * Resolves to the source used, or null if every source failed
+     */
+    static async loadLibrary(key, globalName, sources) {
+        if (typeof window[globalName] !== 'undefined') {
+            return { name: 'preloaded', label: 'already on page' };
+        }
+
+        for (const source of sources) {
+            try {
+                await VendorLoader.loadScript(source[key], globalName);
+                return source;
+            } catch (error) {
+                console.warn(`${globalName}: ${error.message}, trying next source`);
+            }
+        }
+
+        console.error(`${globalName} could not be loaded from any source`);
+        return null;
+    }
+}
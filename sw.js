@@ -0,0 +1,226 @@
+// Service Worker - Caches everything the app needs so it works offline
+//
+// Registered by scripts/offlineCache.js as
+//   sw.js?v=<cache key>&manifest=<manifest url>&base=<asset base url>
+// The cache key changes whenever the character manifest or the face-api model
+// version changes, which installs a fresh worker and drops the old cache.
+// The app's own code is refreshed in the background on every visit instead,
+// so a deploy shows up on the next one without touching the key.
+
+const CACHE_PREFIX = 'movie-doppelganger';
+
+const params = new URL(self.location.href).searchParams;
+const CACHE_KEY = params.get('v') || 'dev';
+const MANIFEST_URL = params.get('manifest') || 'assets/characters.json';
+const ASSET_BASE_URL = params.get('base') || '';
+const CACHE_NAME = `${CACHE_PREFIX}-${CACHE_KEY}`;
+
+// App shell and sounds, cached up front so the first offline visit works. Each is
+// added on its own and a missing one is skipped: it is cached on first use instead,
+// so a stale entry here can't fail the install and leave users on the old worker.
+const APP_SHELL = [
+    './',
+    'index.html',
+    'styles/main.css',
+    'scripts/app.js',
+    'scripts/analysisReadout.js',
+    'scripts/announcer.js',
+    'scripts/appState.js',
+    'scripts/animation.js',
+    'scripts/assetTracker.js',
+    'scripts/burstSelector.js',
+    'scripts/camera.js',
+    'scripts/characterManifest.js',
+    'scripts/config.js',
+    'scripts/descriptorCache.js',
+    'scripts/detectionWorker.js',
+    'scripts/detectionWorkerClient.js',
+    'scripts/detectors.js',
+    'scripts/diagnosticsPanel.js',
+    'scripts/faceDetection.js',
+    'scripts/faceMorph.js',
+    'scripts/faceBoxSelector.js',
+    'scripts/facePicker.js',
+    'scripts/featureHud.js',
+    'scripts/faceTracker.js',
+    'scripts/honestMatcher.js',
+    'scripts/imageDecoder.js',
+    'scripts/landmarkRenderers.js',
+    'scripts/matchNarrative.js',
+    'scripts/offlineCache.js',
+    'scripts/photoDropZone.js',
+    'scripts/photoQuality.js',
+    'scripts/preloader.js',
+    'scripts/reveals.js',
+    'scripts/vendorLoader.js',
+    'assets/sounds/timer-beep.mp3',
+    'assets/sounds/camera-shutter.mp3',
+    'assets/sounds/trumpet.mp3',
+    'site.webmanifest',
+    'favicon.svg',
+    'favicon-96x96.png'
+];
+
+// Same-origin pages, scripts and styles that get refreshed behind the cached copy
+// (vendor/ libraries are versioned with the models, so they stay cache-first)
+const APP_CODE = /(\/|\.html|\.css|\.js|\.webmanifest)$/;
+
+// Self-hosted libraries and weights - optional, vendor/ may not be populated
+const VENDOR_PATHS = [
+    'vendor/face-api/face-api.min.js',
+    'vendor/canvas-confetti/confetti.browser.min.js',
+    'vendor/face-api/weights/ssd_mobilenetv1_model-weights_manifest.json',
+    'vendor/face-api/weights/ssd_mobilenetv1_model-shard1',
+    'vendor/face-api/weights/ssd_mobilenetv1_model-shard2',
+    'vendor/face-api/weights/face_landmark_68_model-weights_manifest.json',
+    'vendor/face-api/weights/face_landmark_68_model-shard1',
+    'vendor/face-api/weights/tiny_face_detector_model-weights_manifest.json',
+    'vendor/face-api/weights/tiny_face_detector_model-shard1',
+    'vendor/face-api/weights/face_landmark_68_tiny_model-weights_manifest.json',
+    'vendor/face-api/weights/face_landmark_68_tiny_model-shard1',
+    'vendor/face-api/weights/face_recognition_model-weights_manifest.json',
+    'vendor/face-api/weights/face_recognition_model-shard1',
+    'vendor/face-api/weights/face_recognition_model-shard2',
+    'vendor/face-api/weights/face_expression_model-weights_manifest.json',
+    'vendor/face-api/weights/face_expression_model-shard1',
+    'vendor/face-api/weights/age_gender_model-weights_manifest.json',
+    'vendor/face-api/weights/age_gender_model-shard1'
+];
+const VENDOR_FILES = VENDOR_PATHS.map(path => ASSET_BASE_URL + path);
+// The same files by name, to recognise the CDN copies
+const VENDOR_NAMES = VENDOR_PATHS.map(path => path.split('/').pop());
+
+/**
+ * Whether a response for this URL may be kept: same-origin files, anything under
+ * the configured asset base and the known vendor files from whichever CDN served them
+ */
+function isCacheable(url) {
+    if (url.origin === self.location.origin) return true;
+    if (ASSET_BASE_URL && url.href.startsWith(new URL(ASSET_BASE_URL, self.location.href).href)) return true;
+    return VENDOR_NAMES.some(name => url.pathname.endsWith(`/${name}`));
+}
+
+/**
+ * Image paths listed in the character manifest
+ */
+async function getManifestImages(cache) {
+    const response = await fetch(MANIFEST_URL, { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`Could not fetch ${MANIFEST_URL}: HTTP ${response.status}`);
+    }
+    await cache.put(MANIFEST_URL, response.clone());
+
+    const manifest = await response.json();
+    const entries = [...(manifest.characters || []), manifest.result].filter(Boolean);
+    return entries
+        .filter(entry => entry.enabled !== false && typeof entry.image === 'string')
+        .map(entry => entry.image);
+}
+
+/**
+ * Add URLs one by one, ignoring any that fail
+ */
+async function addOptional(cache, urls) {
+    await Promise.all(urls.map(url =>
+        cache.add(url).catch(error => console.warn(`[sw] Not cached: ${url}`, error))
+    ));
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await addOptional(cache, APP_SHELL);
+
+        const images = await getManifestImages(cache);
+        await addOptional(cache, images);
+        await addOptional(cache, VENDOR_FILES);
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // The manifest decides when the cache is stale, so always try the network first
+    if (url.origin === self.location.origin && url.pathname.endsWith(MANIFEST_URL)) {
+        event.respondWith(networkFirst(request));
+        return;
+    }
+
+    if (url.origin === self.location.origin && APP_CODE.test(url.pathname) && !url.pathname.includes('/vendor/')) {
+        event.respondWith(staleWhileRevalidate(event, request));
+        return;
+    }
+
+    event.respondWith(cacheFirst(request));
+});
+
+/**
+ * Serve from cache, fetching on a miss and storing what isCacheable allows (covers
+ * CDN fallbacks too). Opaque responses are never stored: they may be error pages
+ * and count in full against the storage quota.
+ */
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok && response.type !== 'opaque' && isCacheable(new URL(request.url))) {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Serve the cached copy straight away and update it from the network for next time
+ * (waiting for the network only on a miss)
+ */
+async function staleWhileRevalidate(event, request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+    const refresh = fetch(request).then(async (response) => {
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (!cached) return refresh;
+
+    event.waitUntil(refresh.catch(error => console.warn(`[sw] Could not refresh ${request.url}`, error)));
+    return cached;
+}
+
+/**
+ * Try the network, fall back to the cached copy when offline
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}